@@ -0,0 +1,52 @@
+import { CubicSpline } from 'spline';
+
+import { WRAPPING_MODES } from './track-time.js';
+
+// rotate the camera position of a 6 dimensional pose (position followed by target)
+// around the target's vertical axis by angle degrees
+const orbitPose = (pose, angle) => {
+    const rad = angle * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const x = pose[0] - pose[3];
+    const z = pose[2] - pose[5];
+    pose[0] = pose[3] + x * cos + z * sin;
+    pose[2] = pose[5] - x * sin + z * cos;
+    return pose;
+};
+
+// optional scalar channels interpolated alongside position and target
+const SCALAR_CHANNELS = ['fov', 'roll'];
+
+// construct the camera animation state for an animTracks entry. the spline interpolates
+// camera position followed by target, then any optional scalar channels the track has
+// (listed in channels, starting at result[6]). only wrapping loop modes get a looping
+// spline, the others end on the last keyframe.
+const createCameraAnim = (track) => {
+    const { keyframes, duration, loopMode } = track;
+    const { times, values } = keyframes;
+    const { position, target } = values;
+    const channels = SCALAR_CHANNELS.filter(channel => values[channel] !== undefined);
+
+    // construct the points array containing position, target and the scalar channels
+    const points = [];
+    for (let i = 0; i < times.length; i++) {
+        points.push(position[i * 3], position[i * 3 + 1], position[i * 3 + 2]);
+        points.push(target[i * 3], target[i * 3 + 1], target[i * 3 + 2]);
+        channels.forEach(channel => points.push(values[channel][i]));
+    }
+
+    return {
+        time: 0,
+        spline: WRAPPING_MODES.includes(loopMode) ?
+            CubicSpline.fromPointsLooping(duration, times, points) :
+            CubicSpline.fromPoints(times, points),
+        track,
+        channels,
+        result: []
+    };
+};
+
+// the timing helpers live in track-time.js and are re-exported for the camera animation users
+export { createCameraAnim, orbitPose };
+export { WRAPPING_MODES, applyHolds, easeRate, isTrackFinished, mapTrackTime, trackDuration, trackSplineTime, trackTimeRange } from './track-time.js';
@@ -0,0 +1,173 @@
+import * as pc from 'playcanvas';
+
+// resolution of the per-splat occupancy grid used to estimate occlusion
+const GRID_RESOLUTION = 64;
+
+// number of occupied cells in front of an anchor at which its label is fully faded
+const OCCLUSION_CELLS = 3;
+
+// opacity of a fully occluded label
+const OCCLUDED_OPACITY = 0.2;
+
+const tmpV1 = new pc.Vec3();
+const tmpV2 = new pc.Vec3();
+const tmpV3 = new pc.Vec3();
+const tmpM = new pc.Mat4();
+const tmpScreen = new pc.Vec3();
+
+// coarse occupancy grid of the splat centers, in the splat entity's local space.
+// stands in for the depth buffer the viewer doesn't have (the app is created with depth="false").
+class OcclusionGrid {
+    constructor(entity, centers, aabb, resolution = GRID_RESOLUTION) {
+        this.entity = entity;
+        this.resolution = resolution;
+        this.min = aabb.getMin().clone();
+        this.size = aabb.halfExtents.clone().mulScalar(2 / resolution);
+
+        const cells = new Uint32Array(resolution * resolution * resolution);
+        const { min, size } = this;
+        for (let i = 0; i < centers.length; i += 3) {
+            const x = Math.floor((centers[i] - min.x) / size.x);
+            const y = Math.floor((centers[i + 1] - min.y) / size.y);
+            const z = Math.floor((centers[i + 2] - min.z) / size.z);
+            if (x >= 0 && x < resolution && y >= 0 && y < resolution && z >= 0 && z < resolution) {
+                cells[(z * resolution + y) * resolution + x]++;
+            }
+        }
+
+        // cells holding at least half the average occupied cell count are treated as solid
+        let occupied = 0;
+        let total = 0;
+        cells.forEach((count) => {
+            if (count > 0) {
+                occupied++;
+                total += count;
+            }
+        });
+        this.threshold = Math.max(1, 0.5 * total / Math.max(1, occupied));
+        this.cells = cells;
+    }
+
+    isSolid(point) {
+        const { min, size, resolution, cells } = this;
+        const x = Math.floor((point.x - min.x) / size.x);
+        const y = Math.floor((point.y - min.y) / size.y);
+        const z = Math.floor((point.z - min.z) / size.z);
+        if (x < 0 || x >= resolution || y < 0 || y >= resolution || z < 0 || z >= resolution) {
+            return false;
+        }
+        return cells[(z * resolution + y) * resolution + x] >= this.threshold;
+    }
+
+    // count the solid cells crossed by the world space segment from -> to, stopping
+    // short of the anchor so the surface it sits on doesn't occlude it
+    count(from, to) {
+        const invWorld = tmpM.copy(this.entity.getWorldTransform()).invert();
+        const a = invWorld.transformPoint(from, tmpV1);
+        const b = invWorld.transformPoint(to, tmpV2);
+        const cellSize = Math.min(this.size.x, this.size.y, this.size.z);
+        const length = a.distance(b) - cellSize * 1.5;
+        if (length <= 0) {
+            return 0;
+        }
+
+        const dir = tmpV3.sub2(b, a).normalize();
+        const steps = Math.ceil(length / cellSize);
+        let hits = 0;
+        let wasSolid = false;
+        for (let i = 0; i < steps && hits < OCCLUSION_CELLS; i++) {
+            const solid = this.isSolid(a);
+            if (solid && !wasSolid) {
+                hits++;
+            }
+            wasSolid = solid;
+            a.add(tmpV2.copy(dir).mulScalar(cellSize));
+        }
+        return hits;
+    }
+}
+
+// dom labels anchored to world positions. labels are repositioned whenever a frame is
+// rendered, hidden when behind the camera or off screen and faded when splats lie between
+// them and the camera. fires 'select' (id) when a label is clicked.
+class AnnotationLayer extends pc.EventHandler {
+    constructor(app, camera, container) {
+        super();
+        this.app = app;
+        this.camera = camera;
+        this.container = container;
+        this.labels = new Map();
+        this.grids = [];
+
+        // only reposition when a frame is actually rendered (on-demand rendering)
+        this.onPrerender = () => this.update();
+        app.on('prerender', this.onPrerender);
+    }
+
+    add(id, position, text) {
+        this.remove(id);
+
+        const element = document.createElement('div');
+        element.className = 'annotation';
+        element.textContent = text;
+        element.addEventListener('click', () => this.fire('select', id));
+        this.container.appendChild(element);
+
+        this.labels.set(id, { element, position: new pc.Vec3(position) });
+        this.app.renderNextFrame = true;
+    }
+
+    remove(id) {
+        const label = this.labels.get(id);
+        if (label) {
+            label.element.remove();
+            this.labels.delete(id);
+        }
+    }
+
+    clear() {
+        this.labels.forEach(label => label.element.remove());
+        this.labels.clear();
+    }
+
+    // build occlusion grids for the gsplat entities in the scene. the instance's own
+    // centers are handed over to its sort worker, so they're read from the splat
+    setSplats(entities) {
+        this.grids = entities.map((entity) => {
+            const instance = entity.gsplat?.instance;
+            return instance && new OcclusionGrid(entity, instance.splat.centers, instance.splat.aabb);
+        }).filter(Boolean);
+        this.app.renderNextFrame = true;
+    }
+
+    update() {
+        const { camera, grids } = this;
+        const { width, height } = this.app.graphicsDevice.clientRect;
+        const cameraPosition = camera.getPosition();
+        const forward = camera.forward;
+
+        this.labels.forEach(({ element, position }) => {
+            // hide labels behind the camera
+            const behind = tmpV1.sub2(position, cameraPosition).dot(forward) <= 0;
+            const screen = !behind && camera.camera.worldToScreen(position, tmpScreen);
+            if (behind || screen.x < 0 || screen.x > width || screen.y < 0 || screen.y > height) {
+                element.classList.add('hidden');
+                return;
+            }
+
+            const hits = grids.reduce((sum, grid) => sum + grid.count(cameraPosition, position), 0);
+            const occlusion = Math.min(1, hits / OCCLUSION_CELLS);
+
+            element.classList.remove('hidden');
+            element.style.transform = `translate(${screen.x.toFixed(1)}px, ${screen.y.toFixed(1)}px) translate(-50%, -100%)`;
+            element.style.opacity = (1 - occlusion * (1 - OCCLUDED_OPACITY)).toFixed(2);
+        });
+    }
+
+    destroy() {
+        this.clear();
+        this.app.off('prerender', this.onPrerender);
+    }
+}
+
+export { AnnotationLayer };
@@ -1,17 +1,49 @@
 import * as pc from 'playcanvas';
 
-import { CubicSpline } from 'spline';
+import { loadManifest, resolveScene } from './scene-manifest.js';
+import { QUALITY_TIERS, loadSettings } from './settings.js';
+import { SplatLoader } from './splat-loader.js';
+import { resolveKey } from './splat-crypto.js';
+import { ErrorOverlay, LoadError, diagnoseLoadError } from './load-error.js';
+import { PIXEL_RATIOS, SplatBudget, benchmarkTier } from './splat-budget.js';
+import { PoiManager } from './poi.js';
+import { PoiPicker, PoiPanel } from './poi-panel.js';
+import { AnnotationLayer } from './annotations.js';
+import { createCameraAnim, easeRate, isTrackFinished, orbitPose, trackDuration, trackSplineTime } from './anim-track.js';
+import { TrackEditor } from './track-editor.js';
+import { PlaybackControls } from './playback-controls.js';
+import { CameraConstraints } from './constraints.js';
+import { Bookmarks, parseView } from './bookmarks.js';
+import { GuidedTour } from './guided-tour.js';
+import { Capture } from './capture.js';
+import { VideoExport } from './video-export.js';
 
 const nearlyEquals = (a, b, epsilon = 1e-4) => {
     return !a.some((v, i) => Math.abs(v - b[i]) >= epsilon);
 };
 
+// once-then-orbit: orbit speed in degrees per second, reached after ORBIT_EASE seconds
+const ORBIT_SPEED = 6;
+const ORBIT_EASE = 2;
+
+// time in seconds to blend from the user's view back onto the track when resuming
+const RESUME_BLEND = 1;
+
+// zoom distance limits as multiples of the scene bound radius
+const ZOOM_MIN = 0.01;
+const ZOOM_MAX = 10;
+
 const url = new URL(location.href);
 
 const params = {
     noui: url.searchParams.has('noui'),
     noanim: url.searchParams.has('noanim'),
-    posterUrl: url.searchParams.get('poster')
+    edit: url.searchParams.has('edit'),
+    posterUrl: url.searchParams.get('poster'),
+    load: url.searchParams.get('load'),
+    scene: url.searchParams.get('scene'),
+    quality: url.searchParams.get('quality'),
+    settingsUrl: url.searchParams.get('settings') ?? undefined
 };
 
 // display a blurry poster image which resolves to sharp during loading
@@ -31,198 +63,380 @@ class Poster {
         this.hide = () => {
             element.style.display = 'none';
         };
+
+        // show the sharp poster in place of a scene which failed to load
+        this.fallback = () => {
+            element.style.display = 'block';
+            element.style.filter = 'none';
+        };
     }
 }
 
-const poster = params.posterUrl && new Poster(params.posterUrl);
+let poster;
+
+// calculate the combined world bounding box of all splats in the scene
+const calcSceneBound = (app, result = new pc.BoundingBox()) => {
+    let first = true;
+    app.root.findComponents('gsplat').forEach((component) => {
+        const aabb = component.instance?.meshInstance?.aabb;
+        if (aabb) {
+            if (first) {
+                result.copy(aabb);
+                first = false;
+            } else {
+                result.add(aabb);
+            }
+        }
+    });
+    return result;
+};
 
 class FrameScene extends pc.Script {
     initialize() {
-        const { settings } = this;
+        this.speed = 1;
+        this.setSettings(this.settings);
+    }
+
+    // take the camera and animation settings of a scene, resetting the animation and
+    // camera state of the previous one. the camera is placed once its splats are loaded
+    setSettings(settings) {
+        this.cancelAnimation();
+        this.settings = settings;
+
         const { camera, animTracks } = settings;
         const { position, target } = camera;
 
         this.position = position && new pc.Vec3(position);
         this.target = target && new pc.Vec3(target);
+        this.fov = camera.fov;
+
+        // construct camera animation track. the start track autoplays, otherwise the first
+        // track is loaded paused for the playback controls
+        this.autoplay = camera.startAnim === 'animTrack';
+        const track = animTracks.find(track => track.name === camera.animTrack) ?? animTracks[0];
+        this.cameraAnim = track ? createCameraAnim(track) : null;
+        if (track) {
+            this.fire('track', track);
+        }
 
-        // construct camera animation track
-        if (animTracks?.length > 0 && settings.camera.startAnim === 'animTrack') {
-            const track = animTracks.find(track => track.name === camera.animTrack);
-            if (track) {
-                const { keyframes, duration } = track;
-                const { times, values } = keyframes;
-                const { position, target } = values;
-
-                // construct the points array containing position and target
-                const points = [];
-                for (let i = 0; i < times.length; i++) {
-                    points.push(position[i * 3], position[i * 3 + 1], position[i * 3 + 2]);
-                    points.push(target[i * 3], target[i * 3 + 1], target[i * 3 + 2]);
-                }
+        // set once the first frame of the scene is rendered
+        this.ready = false;
+        this.bbox = null;
 
-                this.cameraAnim = {
-                    time: 0,
-                    spline: CubicSpline.fromPointsLooping(duration, times, points),
-                    track,
-                    result: []
-                };
-            }
+        this.animating = false;
+        this.animationTimer = 0;
+
+        // camera pose to blend from when resuming playback
+        this.resumePose = null;
+        this.resumeTimer = 0;
+    }
+
+    // derive the camera controls' zoom limits from the scene bound, never closer than the
+    // given start distance. the limits are relative to the controls' scene size, so this must
+    // follow any change to it
+    updateZoomLimits(bbox, distance = 0) {
+        const cameraControls = this.entity.script.cameraControls;
+        const radius = bbox.halfExtents.length();
+        cameraControls.zoomMin = radius * ZOOM_MIN / cameraControls.sceneSize;
+        cameraControls.zoomMax = Math.max(radius * ZOOM_MAX, distance) / cameraControls.sceneSize;
+    }
+
+    frameScene(bbox, smooth = true) {
+        const sceneSize = bbox.halfExtents.length();
+        const distance = sceneSize / Math.sin(this.entity.camera.fov / 180 * Math.PI * 0.5);
+        this.entity.script.cameraControls.sceneSize = sceneSize;
+        this.updateZoomLimits(bbox);
+        this.entity.script.cameraControls.focus(bbox.center, new pc.Vec3(2, 1, 2).normalize().mulScalar(distance).add(bbox.center), smooth);
+    }
+
+    // load an animation track and play it from the start, e.g. to preview an authored track
+    playTrack(track, play = true) {
+        this.cancelAnimation();
+        this.cameraAnim = createCameraAnim(track);
+        this.fire('track', track);
+        if (play) {
+            this.play();
+        }
+    }
+
+    // start or resume the current track. when resuming after the user moved the camera,
+    // the view blends from the current pose back onto the track
+    play() {
+        const { cameraAnim } = this;
+        if (!cameraAnim || this.animating) return;
+
+        // replay tracks which have played to the end
+        const { track } = cameraAnim;
+        if (track.loopMode === 'none' && isTrackFinished(cameraAnim.time, trackDuration(track), track.loopMode)) {
+            cameraAnim.time = 0;
+        }
+
+        if (cameraAnim.time > 0) {
+            const position = this.entity.getPosition();
+            const target = this.entity.script.cameraControls.focusPoint;
+            this.resumePose = [position.x, position.y, position.z, target.x, target.y, target.z];
+            cameraAnim.channels.forEach((channel) => {
+                this.resumePose.push(channel === 'fov' ? this.entity.camera.fov : 0);
+            });
+            this.resumeTimer = 0;
+        }
+
+        // tracks without a fov channel play at the settings fov
+        if (!cameraAnim.channels.includes('fov')) {
+            this.entity.camera.fov = this.fov;
         }
 
-        // 휠 관련 속성 추가
-        this.zoomSpeed = 0.15;
-        this.minDistance = 0.5;
-        this.maxDistance = 50;
-        this.targetDistance = null;
-        this.currentDistance = null;
-        this.isWheelActive = false;
-
-        // 휠 이벤트 바인딩 및 등록
-        this.handleWheel = this.handleWheel.bind(this);
-        window.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.animationTimer = 0;
+        this.animating = true;
+        this.app.renderNextFrame = true;
+        this.fire('play');
     }
 
-    // 휠 이벤트 핸들러 추가
-    handleWheel(event) {
-        if (this.targetDistance === null) {
-            // 초기 거리 계산
-            const gsplatComponent = this.app.root.findComponent('gsplat');
-            if (gsplatComponent?.instance?.meshInstance?.aabb) {
-                const bbox = gsplatComponent.instance.meshInstance.aabb;
-                const sceneSize = bbox.halfExtents.length();
-                this.currentDistance = sceneSize * 2;
-                this.targetDistance = this.currentDistance;
-                this.targetPosition = bbox.center.clone();
-            } else {
-                this.currentDistance = 5;
-                this.targetDistance = this.currentDistance;
-                this.targetPosition = new pc.Vec3(0, 0, 0);
+    // stop the animation, handing the current pose over to the camera controls
+    cancelAnimation() {
+        if (this.animating) {
+            this.animating = false;
+            this.resumePose = null;
+
+            // copy current camera position and target
+            const r = this.cameraAnim.result;
+            if (r.length > 0) {
+                this.entity.script.cameraControls.focus(
+                    new pc.Vec3(r[3], r[4], r[5]),
+                    new pc.Vec3(r[0], r[1], r[2]),
+                    false
+                );
             }
+            this.fire('pause');
         }
+    }
 
-        event.preventDefault();
-        this.isWheelActive = true;
+    // move the track cursor. while paused the camera jumps to the pose at that time
+    seek(time) {
+        const { cameraAnim } = this;
+        if (!cameraAnim) return;
+
+        const { spline, track, result } = cameraAnim;
+        cameraAnim.time = Math.max(0, Math.min(trackDuration(track), time));
+
+        if (!this.animating) {
+            spline.evaluate(trackSplineTime(track, cameraAnim.time), result);
+            this.entity.script.cameraControls.focus(
+                new pc.Vec3(result[3], result[4], result[5]),
+                new pc.Vec3(result[0], result[1], result[2]),
+                false
+            );
+            if (cameraAnim.channels.includes('fov')) {
+                this.entity.camera.fov = result[6];
+            }
+        }
+        this.app.renderNextFrame = true;
+    }
 
-        const delta = -Math.sign(event.deltaY) * this.zoomSpeed;
+    // place the camera at an evaluated track pose, applying the optional fov and roll
+    applyPose(cameraAnim) {
+        const { channels, result } = cameraAnim;
+        const { entity } = this;
 
-        this.targetDistance = Math.max(
-            this.minDistance,
-            Math.min(this.maxDistance, this.targetDistance * (1 - delta))
-        );
+        entity.setPosition(result[0], result[1], result[2]);
+        entity.lookAt(result[3], result[4], result[5]);
 
-        // 기존 애니메이션 취소
-        this.cancelAnimation && this.cancelAnimation();
+        channels.forEach((channel, i) => {
+            const value = result[6 + i];
+            if (channel === 'fov') {
+                entity.camera.fov = value;
+            } else if (channel === 'roll') {
+                entity.rotateLocal(0, 0, value);
+            }
+        });
+    }
 
-        // 렌더링 업데이트 요청
-        this.app.renderNextFrame = true;
+    // move the camera to a view { position, target, fov? }, e.g. a bookmark or keyframe
+    goTo({ position, target, fov }, smooth = true) {
+        this.cancelAnimation();
+        if (fov) {
+            this.entity.camera.fov = fov;
+        }
+        this.entity.script.cameraControls.focus(new pc.Vec3(target), new pc.Vec3(position), smooth);
     }
 
-    frameScene(bbox, smooth = true) {
-        const sceneSize = bbox.halfExtents.length();
-        const distance = sceneSize / Math.sin(this.entity.camera.fov / 180 * Math.PI * 0.5);
-        this.entity.script.cameraControls.sceneSize = sceneSize;
-        this.entity.script.cameraControls.focus(bbox.center, new pc.Vec3(2, 1, 2).normalize().mulScalar(distance).add(bbox.center), smooth);
+    // fly to a poi, framing it at a distance relative to its size
+    focusOnPoi(poi, smooth = true) {
+        const [x, y, z] = poi.position;
+        const size = poi.style?.size ?? 4;
+        this.focusOn(new pc.Vec3(x, y, z), size * 3, smooth);
+    }
+
+    // frame a point from the given distance, keeping the current viewing direction
+    focusOn(point, distance, smooth = true) {
+        this.cancelAnimation();
+        const start = this.entity.getPosition().clone().sub(point).normalize().mulScalar(distance).add(point);
+        this.entity.script.cameraControls.focus(point, start, smooth);
     }
 
     resetCamera(bbox, smooth = true) {
         const sceneSize = bbox.halfExtents.length();
+        const target = this.target ?? pc.Vec3.ZERO;
+        const position = this.position ?? new pc.Vec3(2, 1, 2);
         this.entity.script.cameraControls.sceneSize = sceneSize * 0.2;
-        this.entity.script.cameraControls.focus(this.target ?? Vec3.ZERO, this.position ?? new pc.Vec3(2, 1, 2), smooth);
+        this.updateZoomLimits(bbox, position.distance(target));
+        this.entity.script.cameraControls.focus(target, position, smooth);
     }
 
+    // frame the splats in the scene and reveal them once they are sorted. runs again for
+    // each set of splats loaded, e.g. a dropped local file
     initCamera() {
         const { app } = this;
-        const { graphicsDevice } = app;
-        let animating = false;
-        let animationTimer = 0;
 
-        // get the gsplat component
-        const gsplatComponent = app.root.findComponent('gsplat');
+        this.cancelAnimation();
 
-        // calculate the bounding box
-        const bbox = gsplatComponent?.instance?.meshInstance?.aabb ?? new pc.BoundingBox();
+        // calculate the combined bounding box
+        const bbox = calcSceneBound(app);
+        this.bbox = bbox;
         if (bbox.halfExtents.length() > 100 || this.position || this.target) {
             this.resetCamera(bbox, false);
         } else {
             this.frameScene(bbox, false);
         }
 
-        const cancelAnimation = () => {
-            if (animating) {
-                animating = false;
+        // wait for the first sort of every gsplat
+        const sorters = app.root.findComponents('gsplat').map(component => component.instance?.sorter).filter(Boolean);
+        let unsorted = sorters.length;
 
-                // copy current camera position and target
-                const r = this.cameraAnim.result;
-                this.entity.script.cameraControls.focus(
-                    new pc.Vec3(r[3], r[4], r[5]),
-                    new pc.Vec3(r[0], r[1], r[2]),
-                    false
-                );
-            }
+        const onFirstSort = () => {
+            // request frame render
+            app.renderNextFrame = true;
+
+            // wait for first render to complete
+            const frameHandle = app.on('frameend', () => {
+                frameHandle.off();
+
+                // hide loading indicator
+                document.getElementById('loadingWrap').classList.add('hidden');
+
+                // fade out poster
+                poster?.hide();
+
+                if (this.ready) return;
+                this.ready = true;
+                this.fire('ready');
+
+                // start animating once the first frame is rendered
+                if (this.autoplay && !params.noanim) {
+                    this.play();
+                }
+
+                // emit first frame event on window
+                window.firstFrame?.();
+            });
         };
 
-        // listen for interaction events
-        const events = ['wheel', 'pointerdown', 'contextmenu'];
+        sorters.forEach((sorter) => {
+            const handle = sorter.on('updated', () => {
+                handle.off();
+                if (--unsorted === 0) {
+                    onFirstSort();
+                }
+            });
+        });
+
+        // configure on-demand rendering
+        app.autoRender = false;
+    }
+
+    // listen for interaction, drive the camera animation and render on demand. the
+    // listeners are registered once, across scene switches, and removed on destroy
+    addListeners() {
+        const { app, splatLoader } = this;
+        const { graphicsDevice } = app;
+        const { canvas } = graphicsDevice;
+
+        const cancelAnimation = () => this.cancelAnimation();
+
+        // listen for interaction events. the listeners stay registered so the tour can be
+        // resumed and interrupted again
+        const events = ['wheel', 'gesturestart', 'pointerdown', 'contextmenu'];
         //const events = ['pointerdown', 'contextmenu'];
         const handler = (e) => {
             cancelAnimation();
-            events.forEach(event => app.graphicsDevice.canvas.removeEventListener(event, handler));
         };
-        events.forEach(event => app.graphicsDevice.canvas.addEventListener(event, handler));
+        events.forEach(event => canvas.addEventListener(event, handler));
+
+        const onKeyDown = (e) => {
+            if (e.ctrlKey || e.altKey || e.metaKey || !this.bbox) return;
 
-        window.addEventListener('keydown', (e) => {
-            if (e.ctrlKey || e.altKey || e.metaKey) return;
+            // keys typed into panel fields aren't shortcuts
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
 
             switch (e.key) {
                 case 'f':
                     cancelAnimation();
-                    this.frameScene(bbox);
+                    this.frameScene(this.bbox);
                     break;
                 case 'r':
                     cancelAnimation();
-                    this.resetCamera(bbox);
+                    this.resetCamera(this.bbox);
                     break;
             }
-        });
+        };
+        window.addEventListener('keydown', onKeyDown);
 
-        app.on('update', (deltaTime) => {
+        const updateHandle = app.on('update', (deltaTime) => {
             // handle camera animation
-            if (this.cameraAnim && animating && !params.noanim) {
+            if (this.cameraAnim && this.animating) {
                 const { cameraAnim } = this;
                 const { spline, track, result } = cameraAnim;
 
-                // update animation timer
-                animationTimer += deltaTime;
+                const duration = trackDuration(track);
 
-                // update the track cursor
-                if (animationTimer < 5) {
-                    // ease in
-                    cameraAnim.time += deltaTime * Math.pow(animationTimer / 5, 0.5);
+                // blend back onto the track before the cursor moves on
+                const blending = this.resumePose !== null;
+                if (blending) {
+                    this.resumeTimer += deltaTime;
                 } else {
-                    cameraAnim.time += deltaTime;
+                    // update animation timer and the eased track cursor
+                    this.animationTimer += deltaTime;
+                    cameraAnim.time += deltaTime * this.speed * easeRate(track, this.animationTimer, cameraAnim.time);
                 }
 
-                if (cameraAnim.time >= track.duration) {
-                    switch (track.loopMode) {
-                        case 'none': cameraAnim.time = track.duration; break;
-                        case 'repeat': cameraAnim.time = cameraAnim.time % track.duration; break;
-                        case 'pingpong': cameraAnim.time = cameraAnim.time % (track.duration * 2); break;
+                // evaluate the spline
+                spline.evaluate(trackSplineTime(track, cameraAnim.time), result);
+
+                if (isTrackFinished(cameraAnim.time, duration, track.loopMode)) {
+                    if (track.loopMode === 'none') {
+                        // hand the final pose over to the camera controls
+                        cancelAnimation();
+                        return;
                     }
+
+                    // once-then-orbit: circle the final target, easing into the orbit speed
+                    const t = cameraAnim.time - duration;
+                    const angle = t < ORBIT_EASE ?
+                        ORBIT_SPEED * t * t / (2 * ORBIT_EASE) :
+                        ORBIT_SPEED * (t - ORBIT_EASE * 0.5);
+                    orbitPose(result, angle);
                 }
 
-                // evaluate the spline
-                spline.evaluate(cameraAnim.time > track.duration ? track.duration - cameraAnim.time : cameraAnim.time, result);
+                if (blending) {
+                    const t = Math.min(1, this.resumeTimer / RESUME_BLEND);
+                    const s = t * t * (3 - 2 * t);
+                    for (let i = 0; i < this.resumePose.length; i++) {
+                        result[i] = pc.math.lerp(this.resumePose[i], result[i], s);
+                    }
+                    if (t === 1) {
+                        this.resumePose = null;
+                    }
+                }
 
                 // set camera
-                this.entity.setPosition(result[0], result[1], result[2]);
-                this.entity.lookAt(result[3], result[4], result[5]);
+                this.applyPose(cameraAnim);
             }
         });
 
         const prevProj = new pc.Mat4();
         const prevWorld = new pc.Mat4();
 
-        app.on('framerender', () => {
+        const framerenderHandle = app.on('framerender', () => {
             if (!app.autoRender && !app.renderNextFrame) {
                 const world = this.entity.getWorldTransform();
                 if (!nearlyEquals(world.data, prevWorld.data)) {
@@ -241,59 +455,36 @@ class FrameScene extends pc.Script {
             }
         });
 
-        // wait for first gsplat sort
-        const handle = gsplatComponent?.instance?.sorter?.on('updated', () => {
-            handle.off();
-
-            // request frame render
-            app.renderNextFrame = true;
-
-            // wait for first render to complete
-            const frameHandle = app.on('frameend', () => {
-                frameHandle.off();
-
-                // hide loading indicator
-                document.getElementById('loadingWrap').classList.add('hidden');
-
-                // fade out poster
-                poster?.hide();
-
-                // start animating once the first frame is rendered
-                if (this.cameraAnim) {
-                    animating = true;
-                }
-
-                // emit first frame event on window
-                window.firstFrame?.();
-            });
-        });
-
         const updateHorizontalFov = (width, height) => {
             this.entity.camera.horizontalFov = width > height;
         };
 
         // handle fov on canvas resize
-        graphicsDevice.on('resizecanvas', (width, height) => {
+        const resizeHandle = graphicsDevice.on('resizecanvas', (width, height) => {
             updateHorizontalFov(width, height);
             app.renderNextFrame = true;
         });
 
-        // configure on-demand rendering
-        app.autoRender = false;
         updateHorizontalFov(graphicsDevice.width, graphicsDevice.height);
+
+        const loadHandle = splatLoader.on('load', () => this.initCamera());
+
+        this.once('destroy', () => {
+            events.forEach(event => canvas.removeEventListener(event, handler));
+            window.removeEventListener('keydown', onKeyDown);
+            updateHandle.off();
+            framerenderHandle.off();
+            resizeHandle.off();
+            loadHandle.off();
+        });
     }
 
+    // set up the camera once the first usable level of every splat is in the scene, and
+    // again whenever the splat loader loads other splats
     postInitialize() {
-        const assets = this.app.assets.filter(asset => asset.type === 'gsplat');
-        if (assets.length > 0) {
-            const asset = assets[0];
-            if (asset.loaded) {
-                this.initCamera();
-            } else {
-                asset.on('load', () => {
-                    this.initCamera();
-                });
-            }
+        this.addListeners();
+        if (this.splatLoader.loaded) {
+            this.initCamera();
         }
     }
 }
@@ -303,74 +494,185 @@ document.addEventListener('DOMContentLoaded', async () => {
     const cameraElement = await document.querySelector('pc-entity[name="camera"]').ready();
     const app = await appElement.app;
 
-    // loading 3dgs model
-    const gsplatUrl = "./mongol.compressed.ply";
-    // GSplat 파일을 로드하기 위한 자산(Asset)을 생성합니다.
-    var gsplatAsset = new pc.Asset("gsplat", "gsplat", { url: gsplatUrl });
+    // failed loads are explained in an overlay, which offers to retry
+    const errorOverlay = new ErrorOverlay();
+    const loadingWrap = document.getElementById('loadingWrap');
+
+    // resolve the scene from ?load= / ?scene= and the scene manifest, then load the
+    // settings with the scene camera and pois overriding the defaults. encrypted scenes
+    // get their key from the url fragment or the scene's key exchange endpoint
+    let scene, settings, key;
+    try {
+        scene = await resolveScene(params);
+        key = await resolveKey(scene);
+        settings = await loadSettings(params.settingsUrl, {
+            camera: scene.camera,
+            ...(scene.pois && { pois: scene.pois })
+        });
+    } catch (err) {
+        console.error('scene setup failed:', err);
+        loadingWrap.classList.add('hidden');
+        errorOverlay.show(err instanceof LoadError ? err : new LoadError('unknown', err.message), () => location.reload());
+        return;
+    }
 
-    // 자산 로드 이벤트를 처리합니다.
-    gsplatAsset.on('load', function (asset) {
-        // GSplat 자산이 로드되면, GSplat 컴포넌트를 생성하고 엔티티에 추가합니다.
-        var entity = new pc.Entity();
-        app.root.addChild(entity);
+    poster = scene.poster && new Poster(scene.poster);
 
-        // GSplat 컴포넌트를 엔티티에 추가합니다.
-        entity.addComponent('gsplat', {
-            asset: asset
-        });
+    // loading 3dgs models
+    // 씬의 GSplat 파일마다 자산(Asset)과 엔티티를 생성합니다.
+    const splatLoader = new SplatLoader(app, cameraElement.entity);
 
+    // 모든 자산 로드 완료 이벤트를 처리합니다.
+    // the scene's constraints and pois don't apply to local files loaded in its place
+    let constraints = null;
+    let localFile = false;
+    splatLoader.on('load', (entities) => {
         //console.log("GSplat 파일 로드 완료!");
-        document.getElementById('loadingWrap').classList.add('hidden');
+        loadingWrap.classList.add('hidden');
 
-        const message = "징키스칸 동상";
-        addExplainCube(app, message, 4, 0, 20, 0.5);
+        annotationLayer.setSplats(entities);
 
+        // limit navigation to the configured volume, ground clearance and pitch range
+        constraints?.destroy();
+        constraints = localFile ? null : new CameraConstraints(camera.script.cameraControls, settings.constraints, entities);
+
+        if (!localFile) {
+            settings.pois.forEach(poi => poiManager.add(poi));
+        }
+    });
+
+    // splats replaced by others are gone from the scene until those load
+    splatLoader.on('unload', () => {
+        annotationLayer.setSplats([]);
+        splatBudget.setSplats([]);
+    });
+
+    // finer detail levels replace the coarse splats as they arrive
+    splatLoader.on('refine', (entities) => {
+        annotationLayer.setSplats(entities);
+        splatBudget.setSplats(entities);
     });
 
     // 자산 로드 오류 이벤트를 처리합니다.
-    gsplatAsset.on('error', function (err, asset) {
-        console.error("GSplat 파일 로드 실패:", err);
+    // the overlay replaces the loading progress and the poster is shown as the fallback.
+    // retrying reloads the splats which failed
+    let loadFailed = false;
+    splatLoader.on('error', async (err, asset, url) => {
+        console.error("GSplat 파일 로드 실패:", url, err);
+        loadFailed = true;
+        loadingWrap.classList.add('hidden');
+        poster?.fallback();
+
+        const error = await diagnoseLoadError(err, url);
+        errorOverlay.show(error, () => {
+            loadFailed = false;
+            loadingWrap.classList.remove('hidden');
+            splatLoader.retry();
+        });
+    });
+
+    // the gpu can drop the context, e.g. when the driver resets. webgl restores it, but
+    // the page may need reloading if it doesn't come back
+    let contextLost = false;
+    app.graphicsDevice.on('devicelost', () => {
+        contextLost = true;
+        errorOverlay.show(new LoadError('context-lost', 'the graphics device stopped responding, reload the page if the scene does not return'), () => location.reload());
+    });
+    app.graphicsDevice.on('devicerestored', () => {
+        if (contextLost) {
+            contextLost = false;
+            errorOverlay.hide();
+            app.renderNextFrame = true;
+        }
     });
 
     // 자산을 로드합니다.
-    app.assets.add(gsplatAsset);
-    app.assets.load(gsplatAsset);
+    splatLoader.load(scene.splats, key);
 
     /*
     */
     const camera = cameraElement.entity;
-    const settings = await window.settings;
+
+    // points of interest, created once the splats are in the scene. exposed on window so
+    // embedding pages can add, update and remove pois at runtime
+    const poiManager = new PoiManager(app, camera);
+    window.poiManager = poiManager;
+
+    // label pois are drawn as html annotations anchored to their position
+    const annotationLayer = new AnnotationLayer(app, camera, document.getElementById('annotations'));
+    const syncAnnotation = (poi) => {
+        if (poi.style?.type === 'label') {
+            annotationLayer.add(poi.id, poi.position, poi.title);
+        } else {
+            annotationLayer.remove(poi.id);
+        }
+    };
+    poiManager.on('add', syncAnnotation);
+    poiManager.on('update', syncAnnotation);
+    poiManager.on('remove', poi => annotationLayer.remove(poi.id));
+
+    // a view in the url hash (a shared link) replaces the start camera and tour
+    const view = parseView(location.hash);
+    if (view) {
+        Object.assign(settings.camera, view, { startAnim: 'none' });
+    }
 
     camera.camera.clearColor = new pc.Color(settings.background.color);
     camera.camera.fov = settings.camera.fov;
-    camera.script.create(FrameScene, {
-        properties: { settings }
+    const frameScene = camera.script.create(FrameScene, {
+        properties: { settings, splatLoader }
     });
 
-    // Update loading indicator
-    const assets = app.assets.filter(asset => asset.type === 'gsplat');
-    if (assets.length > 0) {
-        const asset = assets[0];
-        const loadingText = document.getElementById('loadingText');
-        const loadingBar = document.getElementById('loadingBar');
-        asset.on('progress', (received, length) => {
-            const v = (Math.min(1, received / length) * 100).toFixed(0);
-            loadingText.textContent = `${v}%`;
-            loadingBar.style.backgroundImage = 'linear-gradient(90deg, #F60 0%, #F60 ' + v + '%, white ' + v + '%, white 100%)';
-            poster?.progress(v);
-        });
-        asset.on('load', (ast) => {
-            window.setTimeout(() => {
-                // 
-                // 강제로 화면 업데이트
-                app.renderNextFrame = true;
-                // 또는 다음 프레임을 기다리지 않고 즉시 렌더링
-                app.render();
-
-            }, 200);
+    // limit the splats drawn and the pixel ratio by quality tier. ?quality= and the
+    // settings tier take precedence over the startup benchmark, run after the first frame
+    const splatBudget = new SplatBudget(app, camera);
+    splatLoader.on('load', entities => splatBudget.setSplats(entities));
+
+    let activeTier = null;
+    const applyQualityTier = (tier) => {
+        activeTier = tier;
+        splatBudget.setBudget(settings.quality[tier]);
+        app.graphicsDevice.maxPixelRatio = Math.min(window.devicePixelRatio, PIXEL_RATIOS[tier]);
+        app.resizeCanvas();
+        app.renderNextFrame = true;
+    };
+
+    const qualityTier = QUALITY_TIERS.includes(params.quality) ? params.quality : settings.quality.tier;
+    if (qualityTier) {
+        applyQualityTier(qualityTier);
+    } else {
+        frameScene.once('ready', async () => {
+            applyQualityTier(await benchmarkTier(app, settings.quality, splatBudget.numSplats));
         });
     }
 
+    // clicking a poi opens its detail panel, which can fly the camera to it
+    const poiPanel = new PoiPanel(poi => frameScene.focusOnPoi(poi));
+    const poiPicker = new PoiPicker(app, camera, poiManager);
+    poiPicker.on('select', poi => poiPanel.show(poi));
+    annotationLayer.on('select', id => poiPanel.show(poiManager.get(id)));
+
+    // Update loading indicator
+    const loadingText = document.getElementById('loadingText');
+    const loadingBar = document.getElementById('loadingBar');
+    splatLoader.on('progress', (received, length) => {
+        if (loadFailed || splatLoader.loaded) return;
+        const v = (Math.min(1, received / length) * 100).toFixed(0);
+        loadingText.textContent = `${v}%`;
+        loadingBar.style.backgroundImage = 'linear-gradient(90deg, #F60 0%, #F60 ' + v + '%, white ' + v + '%, white 100%)';
+        poster?.progress(v);
+    });
+    splatLoader.on('load', () => {
+        window.setTimeout(() => {
+            // 
+            // 강제로 화면 업데이트
+            app.renderNextFrame = true;
+            // 또는 다음 프레임을 기다리지 않고 즉시 렌더링
+            app.render();
+
+        }, 200);
+    });
+
 
     // On entering/exiting AR, we need to set the camera clear color to transparent black
     let cameraEntity, skyType = null;
@@ -411,7 +713,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     // Get button and info panel elements
-    const dom = ['arMode', 'vrMode', 'enterFullscreen', 'exitFullscreen', 'info', 'infoPanel', 'buttonContainer'].reduce((acc, id) => {
+    const dom = ['arMode', 'vrMode', 'enterFullscreen', 'exitFullscreen', 'editTrack', 'tour', 'scenePicker', 'openFile', 'openFileInput', 'capture', 'bookmarks', 'info', 'infoPanel', 'buttonContainer'].reduce((acc, id) => {
         acc[id] = document.getElementById(id);
         return acc;
     }, {});
@@ -439,184 +741,225 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
-    // Info
-    dom.info.addEventListener('click', () => {
-        dom.infoPanel.classList.toggle('hidden');
-    });
+    // Animation playback
+    const playbackControls = params.noui ? null : new PlaybackControls(app, frameScene, settings.animTracks);
+    if (settings.animTracks.length > 0) {
+        playbackControls?.show();
+    }
 
-    // Keyboard handler
-    window.addEventListener('keydown', (event) => {
-        if (event.key === 'Escape') {
-            if (app.xr.active) {
-                app.xr.end();
+    // Animation track editor
+    if (params.edit) {
+        const trackEditor = new TrackEditor(app, camera, frameScene);
+        dom.editTrack.classList.remove('hidden');
+        dom.editTrack.addEventListener('click', () => trackEditor.toggle());
+    }
+
+    // Guided tour, created for the first scene which has one
+    let guidedTour = null;
+    const setTour = (tour) => {
+        guidedTour?.end();
+        if (tour) {
+            if (guidedTour) {
+                guidedTour.setTour(tour);
+            } else {
+                guidedTour = new GuidedTour(app, frameScene, poiManager, tour);
             }
-            dom.infoPanel.classList.add('hidden');
+        }
+        dom.tour.classList[tour ? 'remove' : 'add']('hidden');
+    };
+    setTour(settings.tour);
+    dom.tour.addEventListener('click', () => {
+        if (guidedTour.active) {
+            guidedTour.end();
+        } else {
+            guidedTour.start();
         }
     });
 
-    // Hide UI
-    if (params.noui) {
-        dom.buttonContainer.classList.add('hidden');
-    }
-});
-
-function createTextTexture(app, text, width = 512, height = 512) {
-    // Create a canvas to draw the text
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-
-    const ctx = canvas.getContext('2d');
-
-    // Fill background
-    ctx.fillStyle = '#E33C2F';
-    ctx.fillRect(0, 0, width, height);
-
-    // Setup text
-    ctx.font = 'bold 75px "Noto Sans KR"';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillStyle = '#ffffff';
-
-    // Draw text in center
-    ctx.fillText("# POI 정보", width / 2, 100);
-    ctx.fillText(text, width / 2, height / 2 + 40);
-
-    // Draw a border
-    //ctx.strokeStyle = '#ff0000';
-    //ctx.lineWidth = 8;
-    //ctx.strokeRect(16, 16, width - 32, height - 32);
-
-    // Create a PlayCanvas texture from the canvas
-    const texture = new pc.Texture(app.graphicsDevice);
-    texture.setSource(canvas);
-
-    return texture;
-}
+    // Local files, dropped onto the canvas or picked with the open button, replace the
+    // scene's splats and pois and are framed like a newly loaded scene. the object url of
+    // the previous file is kept until the next one, so failed loads can be retried
+    let fileUrl = null;
+    const loadFile = (file) => {
+        if (fileUrl) {
+            URL.revokeObjectURL(fileUrl);
+        }
+        fileUrl = URL.createObjectURL(file);
+        localFile = true;
+
+        guidedTour?.end();
+        poiPanel.hide();
+        poiManager.clear();
+        errorOverlay.hide();
+        loadFailed = false;
+        loadingText.textContent = '';
+        loadingWrap.classList.remove('hidden');
+
+        // frame the file rather than the scene's start view
+        frameScene.position = null;
+        frameScene.target = null;
+
+        splatLoader.load([{ url: fileUrl, filename: file.name }]);
+    };
+
+    const canvas = app.graphicsDevice.canvas;
+    canvas.addEventListener('dragover', (event) => {
+        if (event.dataTransfer.types.includes('Files')) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            canvas.classList.add('dropTarget');
+        }
+    });
+    canvas.addEventListener('dragleave', () => canvas.classList.remove('dropTarget'));
+    canvas.addEventListener('drop', (event) => {
+        event.preventDefault();
+        canvas.classList.remove('dropTarget');
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            loadFile(file);
+        }
+    });
 
-// 1. 방향성 조명 (Directional Light) 추가 함수
-function addDirectionalLight(app, intensity = 1, color = [1, 1, 1]) {
-    const light = new pc.Entity('directionalLight');
-    light.addComponent('light', {
-        type: 'directional',
-        color: new pc.Color(color[0], color[1], color[2]),
-        intensity: intensity,
-        castShadows: true,
-        shadowDistance: 40,
-        shadowResolution: 2048,
-        shadowBias: 0.2,
-        normalOffsetBias: 0.05
+    dom.openFile.addEventListener('click', () => dom.openFileInput.click());
+    dom.openFileInput.addEventListener('change', () => {
+        const file = dom.openFileInput.files[0];
+        dom.openFileInput.value = '';
+        if (file) {
+            loadFile(file);
+        }
     });
-    
-    // 조명 방향 설정 (위에서 아래로, 약간 대각선)
-    light.setEulerAngles(45, 30, 0);
-    
-    app.root.addChild(light);
-    return light;
-}
 
-// 2. 환경 조명 (Ambient Light) 설정 함수
-function setupAmbientLight(app, color = [0.2, 0.2, 0.3], intensity = 0.4) {
-    app.scene.ambientLight = new pc.Color(color[0], color[1], color[2]);
-    // 또는 app.scene.ambientLuminance = intensity; // 최신 버전에서는 이 방법 사용
-}
+    // Screenshots
+    const capture = new Capture(app, camera, scene.id ?? 'splat');
+    const videoExport = new VideoExport(app, camera, frameScene, capture, settings.animTracks, scene.id ?? 'splat');
+    dom.capture.addEventListener('click', () => {
+        bookmarks.hide();
+        capture.toggle();
+    });
 
-// 3. 포인트 라이트 추가 함수 (선택사항)
-function addPointLight(app, x, y, z, intensity = 1, color = [1, 1, 1], range = 10) {
-    const light = new pc.Entity('pointLight');
-    light.addComponent('light', {
-        type: 'point',
-        color: new pc.Color(color[0], color[1], color[2]),
-        intensity: intensity,
-        range: range,
-        castShadows: false
+    // Bookmarks
+    const bookmarks = new Bookmarks(app, camera, frameScene, `bookmarks:${scene.id ?? params.load}`);
+    dom.bookmarks.addEventListener('click', () => {
+        capture.hide();
+        bookmarks.toggle();
     });
-    
-    light.setPosition(x, y, z);
-    app.root.addChild(light);
-    return light;
-}
 
-function setupBasicLighting(app) {
-    // 환경 조명 설정
-    setupAmbientLight(app, [0.8, 0.8, 0.9], 0.8);
-    
-    // 주 방향성 조명 추가
-    const mainLight = addDirectionalLight(app, 1.0, [1, 1, 0.9]);
-    
-    // 보조 조명 추가 (반대편에서 약하게)
-    const fillLight = addDirectionalLight(app, 0.3, [0.8, 0.9, 1]);
-    fillLight.setEulerAngles(-30, -45, 0);
-    
-    return { mainLight, fillLight };
-}
+    // Scene switching. the scene is replaced in place, keeping the app, the xr session and
+    // the ui, and the address is updated to link to it. exposed on window so embedding
+    // pages can switch scenes too
+    let switchCount = 0;
+    const switchScene = async (id) => {
+        const count = ++switchCount;
+
+        let nextScene, nextSettings, nextKey;
+        try {
+            nextScene = await resolveScene({ ...params, load: null, posterUrl: null, scene: id });
+            nextKey = await resolveKey(nextScene);
+            nextSettings = await loadSettings(params.settingsUrl, {
+                camera: nextScene.camera,
+                ...(nextScene.pois && { pois: nextScene.pois })
+            });
+        } catch (err) {
+            // a later switch has taken over, leave its scene alone
+            if (count !== switchCount) return;
+
+            console.error('scene setup failed:', err);
+            dom.scenePicker.value = scene.id ?? '';
+            errorOverlay.show(err instanceof LoadError ? err : new LoadError('unknown', err.message), () => switchScene(id));
+            return;
+        }
 
+        // a later switch has taken over
+        if (count !== switchCount) return;
 
-function addExplainCube(app, message, cubeSize, x, y, z) {
+        scene = nextScene;
+        settings = nextSettings;
+        key = nextKey;
+        localFile = false;
+        if (fileUrl) {
+            URL.revokeObjectURL(fileUrl);
+            fileUrl = null;
+        }
 
-    if (!app.root.findByName('directionalLight')) {
-        setupBasicLighting(app);
-        console.log('Basic lighting setup completed');
-    }
+        // clear the previous scene
+        guidedTour?.end();
+        poiPanel.hide();
+        poiManager.clear();
+        errorOverlay.hide();
+        loadFailed = false;
+        poster?.hide();
+        poster = scene.poster && new Poster(scene.poster);
+        loadingText.textContent = '';
+        loadingWrap.classList.remove('hidden');
+
+        const sceneUrl = new URL(location.href);
+        sceneUrl.searchParams.set('scene', scene.id);
+        sceneUrl.searchParams.delete('load');
+        sceneUrl.hash = '';
+        history.replaceState(null, '', sceneUrl);
+        dom.scenePicker.value = scene.id;
+
+        // reset the camera, animation and ui to the new scene's settings
+        camera.camera.clearColor = new pc.Color(settings.background.color);
+        camera.camera.fov = settings.camera.fov;
+        playbackControls?.setTracks(settings.animTracks);
+        playbackControls?.[settings.animTracks.length > 0 ? 'show' : 'hide']();
+        capture.name = scene.id;
+        videoExport.setTracks(settings.animTracks, scene.id);
+        frameScene.setSettings(settings);
+        setTour(settings.tour);
+        bookmarks.setStorageKey(`bookmarks:${scene.id}`);
+
+        const tier = QUALITY_TIERS.includes(params.quality) ? params.quality : settings.quality.tier ?? activeTier;
+        if (tier) {
+            applyQualityTier(tier);
+        }
 
-    // Create a cube entity
-    const cube = new pc.Entity('cube');
-    cube.addComponent('render', {
-        type: 'box'
+        splatLoader.load(scene.splats, key);
+    };
+    window.switchScene = switchScene;
+
+    // scene picker, listing the manifest scenes when there is more than one
+    loadManifest().then(({ scenes = [] }) => {
+        if (scenes.length < 2) return;
+
+        dom.scenePicker.replaceChildren(...scenes.map(({ id, title }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = title ?? id;
+            return option;
+        }));
+        dom.scenePicker.value = scene.id ?? '';
+        dom.scenePicker.classList.remove('hidden');
+    }).catch((err) => {
+        console.warn('failed to load the scene list:', err);
     });
+    dom.scenePicker.addEventListener('change', () => switchScene(dom.scenePicker.value));
 
-    // Create material with text texture
-    const material = new pc.StandardMaterial();
-    material.diffuseMap = createTextTexture(app, message);
-    
-    material.emissiveMap = material.diffuseMap;
-    //material.cull = pc.CULLFACE_NONE;
-
-    material.update();
-
-    // Assign material to cube model
-    cube.render.material = material;
-
-    cube.setPosition(x, y, z);
-    // 큐브의 크기 설정
-    var size = new pc.Vec3(cubeSize, cubeSize, cubeSize); // 큐브의 크기를 2x2x2로 설정
-    cube.setLocalScale(size); // 엔티티의 로컬 스케일을 설정
+    // Info
+    dom.info.addEventListener('click', () => {
+        dom.infoPanel.classList.toggle('hidden');
+    });
 
-    const overlayLayer = app.scene.layers.getLayerByName('Immediate');
+    // Keyboard handler
+    window.addEventListener('keydown', (event) => {
+        if (event.key === 'p' && !event.ctrlKey && !event.altKey && !event.metaKey && !['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+            capture.save();
+        }
+        if (event.key === 'Escape') {
+            if (app.xr.active) {
+                app.xr.end();
+            }
+            dom.infoPanel.classList.add('hidden');
+            poiPanel.hide();
+            bookmarks.hide();
+            capture.hide();
+            guidedTour?.end();
+        }
+    });
 
-    if (overlayLayer) {
-        // Plane 엔티티에 render 컴포넌트가 있다면 해당 컴포넌트의 레이어를 설정합니다.
-        // 이 방법은 해당 엔티티의 모든 렌더링 가능한 요소 (MeshInstance)를 해당 레이어로 이동시킵니다.
-        cube.render.layers = [overlayLayer.id];
-        console.log(`Cube added to OverlayLayer with ID: ${overlayLayer.id}`);
-    } else {
-        console.warn("OverlayLayer not found. Please create 'OverlayLayer' in PlayCanvas Editor under Project Settings -> Rendering.");
+    // Hide UI
+    if (params.noui) {
+        dom.buttonContainer.classList.add('hidden');
     }
-
-    // Add cube to scene
-    app.root.addChild(cube);
-
-    // 커스텀 회전 애니메이션
-    // let rotationX = 0;
-    // let rotationY = 0;
-    // let rotationZ = 0;
-    
-    // const updateRotation = function(dt) {
-    //     rotationX += 10 * dt;
-    //     rotationY += 15 * dt;
-    //     rotationZ += 5 * dt;
-        
-    //     cube.setEulerAngles(rotationX, rotationY, rotationZ);
-    // };
-    
-    // // 애니메이션 루프에 추가
-    // app.on('update', updateRotation);
-    
-    // // 큐브 제거 시 이벤트 리스너도 제거하는 함수 추가
-    // cube.destroy = function() {
-    //     app.off('update', updateRotation);
-    //     pc.Entity.prototype.destroy.call(this);
-    // };
-
-    return cube;
-}
\ No newline at end of file
+});
@@ -0,0 +1,187 @@
+import * as pc from 'playcanvas';
+
+import { getCameraTarget } from './track-editor.js';
+
+// delay in ms after the camera comes to rest before the url hash is updated
+const HASH_DELAY = 500;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// the current camera view as { position, target, fov }
+const getView = (camera) => {
+    const position = camera.getPosition();
+    const target = getCameraTarget(camera, new pc.Vec3());
+    return {
+        position: [position.x, position.y, position.z].map(round),
+        target: [target.x, target.y, target.z].map(round),
+        fov: round(camera.camera.fov)
+    };
+};
+
+// encode a view as a url hash: #view=px,py,pz,tx,ty,tz,fov
+const encodeView = ({ position, target, fov }) => {
+    return `#view=${[...position, ...target, fov].join(',')}`;
+};
+
+// parse a url hash written by encodeView, returning null if it holds no valid view
+const parseView = (hash) => {
+    const match = /(?:^#|&)view=([^&]*)/.exec(hash);
+    const values = match?.[1].split(',').map(Number);
+    if (!values || values.length !== 7 || !values.every(Number.isFinite) || values[6] <= 0 || values[6] >= 180) {
+        return null;
+    }
+    return {
+        position: values.slice(0, 3),
+        target: values.slice(3, 6),
+        fov: values[6]
+    };
+};
+
+// named viewpoints saved per scene in local storage, listed in a panel. the url hash
+// follows the camera so the address can be shared to reopen the same view.
+class Bookmarks {
+    constructor(app, camera, frameScene, storageKey) {
+        this.app = app;
+        this.camera = camera;
+        this.frameScene = frameScene;
+
+        const dom = ['bookmarkPanel', 'bookmarkList', 'bookmarkName', 'bookmarkAdd', 'bookmarkCopyLink'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+
+        dom.bookmarkAdd.addEventListener('click', () => this.add(dom.bookmarkName.value));
+        // typing a name mustn't reach the window key listeners, which would move the camera
+        // away from the view being named. escape still closes the panel
+        dom.bookmarkName.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.add(dom.bookmarkName.value);
+            }
+            if (event.key !== 'Escape') {
+                event.stopPropagation();
+            }
+        });
+        dom.bookmarkCopyLink.addEventListener('click', () => this.copyLink(getView(camera)));
+
+        // jump to views pasted or navigated to in the address bar
+        this.hash = location.hash;
+        window.addEventListener('hashchange', () => {
+            if (location.hash !== this.hash) {
+                this.hash = location.hash;
+                const view = parseView(location.hash);
+                if (view) {
+                    frameScene.goTo(view);
+                }
+            }
+        });
+
+        // write the view into the hash once the camera comes to rest
+        const prevWorld = new pc.Mat4();
+        let timeout = null;
+        app.on('frameend', () => {
+            const world = camera.getWorldTransform();
+            if (!world.equals(prevWorld)) {
+                prevWorld.copy(world);
+                clearTimeout(timeout);
+                timeout = setTimeout(() => this.updateHash(), HASH_DELAY);
+            }
+        });
+
+        this.setStorageKey(storageKey);
+    }
+
+    // switch to the bookmarks saved under another key, e.g. those of another scene
+    setStorageKey(storageKey) {
+        this.storageKey = storageKey;
+        this.bookmarks = this.loadBookmarks();
+        this.refresh();
+    }
+
+    loadBookmarks() {
+        try {
+            const bookmarks = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(bookmarks) ? bookmarks : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    saveBookmarks() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bookmarks));
+        } catch (err) {
+            console.warn('failed to save bookmarks:', err);
+        }
+    }
+
+    get visible() {
+        return !this.dom.bookmarkPanel.classList.contains('hidden');
+    }
+
+    toggle() {
+        this.dom.bookmarkPanel.classList.toggle('hidden');
+    }
+
+    hide() {
+        this.dom.bookmarkPanel.classList.add('hidden');
+    }
+
+    // save the current view under the given name
+    add(name) {
+        this.bookmarks.push({
+            name: name.trim() || `View ${this.bookmarks.length + 1}`,
+            ...getView(this.camera)
+        });
+        this.dom.bookmarkName.value = '';
+        this.saveBookmarks();
+        this.refresh();
+    }
+
+    remove(index) {
+        this.bookmarks.splice(index, 1);
+        this.saveBookmarks();
+        this.refresh();
+    }
+
+    updateHash() {
+        // leave the hash alone while loading and while tours move the camera
+        if (!this.frameScene.ready || this.frameScene.animating) return;
+
+        this.hash = encodeView(getView(this.camera));
+        history.replaceState(null, '', this.hash);
+    }
+
+    copyLink(view) {
+        const url = new URL(location.href);
+        url.hash = encodeView(view);
+        navigator.clipboard?.writeText(url.href).catch((err) => {
+            console.warn('failed to copy link:', err);
+        });
+    }
+
+    refresh() {
+        this.dom.bookmarkList.replaceChildren(...this.bookmarks.map((bookmark, index) => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('button');
+            name.className = 'bookmarkLabel';
+            name.textContent = bookmark.name;
+            name.title = 'Go to viewpoint';
+            name.addEventListener('click', () => this.frameScene.goTo(bookmark));
+
+            const buttons = [['🔗', 'Copy link', () => this.copyLink(bookmark)], ['✕', 'Remove', () => this.remove(index)]].map(([text, title, onClick]) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                return button;
+            });
+
+            item.append(name, ...buttons);
+            return item;
+        }));
+    }
+}
+
+export { Bookmarks, encodeView, getView, parseView };
@@ -0,0 +1,160 @@
+import * as pc from 'playcanvas';
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg'
+};
+
+const JPEG_QUALITY = 0.92;
+
+// copy rgba pixels into image data. webgl reads rows bottom up.
+const toImageData = (pixels, width, height, flip) => {
+    const image = new ImageData(width, height);
+    const rowSize = width * 4;
+    for (let y = 0; y < height; y++) {
+        const row = flip ? height - 1 - y : y;
+        image.data.set(pixels.subarray(row * rowSize, (row + 1) * rowSize), y * rowSize);
+    }
+    return image;
+};
+
+// encode image data with a 2d canvas
+const encodeImage = (image, format) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').putImageData(image, 0, 0);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('failed to encode the capture'));
+            }
+        }, MIME_TYPES[format], JPEG_QUALITY);
+    });
+};
+
+const download = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
+// screenshots of the current view. frames are rendered into an offscreen render target,
+// so captures can exceed the canvas resolution and don't depend on on-demand rendering
+// having drawn a frame or on the canvas being created with preserveDrawingBuffer.
+class Capture {
+    constructor(app, camera, name) {
+        this.app = app;
+        this.camera = camera;
+        this.name = name;
+        this.busy = false;
+
+        const dom = ['capturePanel', 'captureScale', 'captureFormat', 'captureTransparent', 'captureSave'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+
+        // transparency needs an alpha channel
+        const updateTransparent = () => {
+            dom.captureTransparent.disabled = dom.captureFormat.value !== 'png';
+        };
+        dom.captureFormat.addEventListener('change', updateTransparent);
+        updateTransparent();
+
+        dom.captureSave.addEventListener('click', () => this.save());
+    }
+
+    get options() {
+        const { dom } = this;
+        return {
+            scale: parseFloat(dom.captureScale.value),
+            format: dom.captureFormat.value,
+            transparent: dom.captureTransparent.checked && !dom.captureTransparent.disabled
+        };
+    }
+
+    toggle() {
+        this.dom.capturePanel.classList.toggle('hidden');
+    }
+
+    hide() {
+        this.dom.capturePanel.classList.add('hidden');
+    }
+
+    // render the current view and resolve to its image data
+    async render({ scale = 1, transparent = false } = {}) {
+        const { app } = this;
+        const device = app.graphicsDevice;
+        const camera = this.camera.camera;
+
+        // keep within the device texture limits
+        const s = Math.min(scale, device.maxTextureSize / device.width, device.maxTextureSize / device.height);
+        const width = Math.max(1, Math.floor(device.width * s));
+        const height = Math.max(1, Math.floor(device.height * s));
+
+        const colorBuffer = new pc.Texture(device, {
+            name: 'capture',
+            width,
+            height,
+            format: pc.PIXELFORMAT_RGBA8,
+            mipmaps: false,
+            minFilter: pc.FILTER_LINEAR,
+            magFilter: pc.FILTER_LINEAR,
+            addressU: pc.ADDRESS_CLAMP_TO_EDGE,
+            addressV: pc.ADDRESS_CLAMP_TO_EDGE
+        });
+        const renderTarget = new pc.RenderTarget({ colorBuffer, depth: true });
+
+        const clearColor = camera.clearColor.clone();
+        camera.renderTarget = renderTarget;
+        if (transparent) {
+            camera.clearColor = new pc.Color(clearColor.r, clearColor.g, clearColor.b, 0);
+        }
+
+        try {
+            app.render();
+        } finally {
+            camera.renderTarget = null;
+            camera.clearColor = clearColor;
+            app.renderNextFrame = true;
+        }
+
+        try {
+            const pixels = await colorBuffer.read(0, 0, width, height, { renderTarget, immediate: true });
+            return toImageData(pixels, width, height, !device.isWebGPU);
+        } finally {
+            renderTarget.destroy();
+            colorBuffer.destroy();
+        }
+    }
+
+    // render the current view and resolve to an encoded image blob
+    async capture({ format = 'png', ...options } = {}) {
+        return encodeImage(await this.render(options), format);
+    }
+
+    // capture with the panel options and download the image
+    async save(options = this.options) {
+        if (this.busy) return;
+        this.busy = true;
+
+        try {
+            const blob = await this.capture(options);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            download(blob, `${this.name}-${timestamp}.${options.format === 'jpeg' ? 'jpg' : 'png'}`);
+        } catch (err) {
+            console.error('capture failed:', err);
+        } finally {
+            this.busy = false;
+        }
+    }
+}
+
+export { Capture, download, encodeImage };
@@ -0,0 +1,103 @@
+import * as pc from 'playcanvas';
+
+// percentile of the splat center heights taken as the ground, skipping floaters below the scene
+const GROUND_PERCENTILE = 0.02;
+
+// max number of splat centers sampled per splat when estimating the ground
+const GROUND_SAMPLES = 100000;
+
+// estimate the ground height (world y) from the splat centers of the given gsplat entities.
+// the centers are read from the splat, as each instance hands its own to the sort worker
+const estimateGroundHeight = (entities) => {
+    const heights = [];
+
+    entities.forEach((entity) => {
+        const centers = entity.gsplat?.instance?.splat.centers;
+        if (!centers) return;
+
+        const m = entity.getWorldTransform().data;
+        const count = centers.length / 3;
+        const stride = Math.max(1, Math.floor(count / GROUND_SAMPLES));
+        for (let i = 0; i < count; i += stride) {
+            const x = centers[i * 3];
+            const y = centers[i * 3 + 1];
+            const z = centers[i * 3 + 2];
+            heights.push(m[1] * x + m[5] * y + m[9] * z + m[13]);
+        }
+    });
+
+    if (heights.length === 0) {
+        return null;
+    }
+
+    const sorted = Float32Array.from(heights).sort();
+    return sorted[Math.floor((sorted.length - 1) * GROUND_PERCENTILE)];
+};
+
+// applies the settings constraints to the camera controls: the pitch range directly, the
+// allowed volume and ground clearance through the controls' clamp:position event.
+// constraints only limit user navigation, animation tracks are played as authored.
+class CameraConstraints {
+    constructor(cameraControls, constraints, entities) {
+        const { pitchRange, volume, ground } = constraints;
+
+        this.cameraControls = cameraControls;
+        this.volume = volume;
+        this.minHeight = null;
+
+        // restored on destroy, so the limits don't outlive the scene they belong to
+        this.pitchRange = cameraControls.pitchRange.clone();
+
+        if (pitchRange) {
+            cameraControls.pitchRange = new pc.Vec2(pitchRange[0], pitchRange[1]);
+        }
+
+        if (ground) {
+            const height = ground.height ?? estimateGroundHeight(entities);
+            if (height !== null) {
+                this.minHeight = height + (ground.clearance ?? 0);
+            } else {
+                console.warn('ground constraint ignored: no splats to estimate the ground height from');
+            }
+        }
+
+        this.onClampPosition = position => this.clamp(position);
+        if (volume || this.minHeight !== null) {
+            cameraControls.on(cameraControls.constructor.EVENT_CLAMP_POSITION, this.onClampPosition);
+        }
+    }
+
+    // clamp a camera position in place
+    clamp(position) {
+        const { volume, minHeight } = this;
+
+        if (volume?.type === 'box') {
+            const { min, max } = volume;
+            position.x = pc.math.clamp(position.x, min[0], max[0]);
+            position.y = pc.math.clamp(position.y, min[1], max[1]);
+            position.z = pc.math.clamp(position.z, min[2], max[2]);
+        } else if (volume?.type === 'sphere') {
+            const [cx, cy, cz] = volume.center;
+            const dx = position.x - cx;
+            const dy = position.y - cy;
+            const dz = position.z - cz;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance > volume.radius) {
+                const s = volume.radius / distance;
+                position.set(cx + dx * s, cy + dy * s, cz + dz * s);
+            }
+        }
+
+        if (minHeight !== null && position.y < minHeight) {
+            position.y = minHeight;
+        }
+    }
+
+    destroy() {
+        const { cameraControls } = this;
+        cameraControls.off(cameraControls.constructor.EVENT_CLAMP_POSITION, this.onClampPosition);
+        cameraControls.pitchRange = this.pitchRange;
+    }
+}
+
+export { CameraConstraints, estimateGroundHeight };
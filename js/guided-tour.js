@@ -0,0 +1,160 @@
+import * as pc from 'playcanvas';
+
+import { renderParagraphs } from './poi-panel.js';
+
+// step-by-step tour through the settings tour stops. each stop moves the camera to a
+// view (or frames its poi), shows a caption and highlights the poi. stops advance with
+// the next/previous buttons, the arrow keys or automatically after the stop duration.
+// fires 'start', 'stop' (index) and 'end'.
+class GuidedTour extends pc.EventHandler {
+    constructor(app, frameScene, poiManager, tour) {
+        super();
+        this.app = app;
+        this.frameScene = frameScene;
+        this.poiManager = poiManager;
+        this.index = -1;
+        this.highlighted = null;
+        this.timeout = null;
+
+        const dom = ['tourPanel', 'tourTitle', 'tourBody', 'tourStep', 'tourPrev', 'tourNext', 'tourAuto', 'tourClose'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+
+        dom.tourPrev.addEventListener('click', () => this.prev());
+        dom.tourNext.addEventListener('click', () => this.next());
+        dom.tourAuto.addEventListener('click', () => this.setAutoAdvance(!this.autoAdvance));
+        dom.tourClose.addEventListener('click', () => this.end());
+
+        // the arrow keys step through the tour instead of flying the camera. the capture
+        // listener runs before the camera controls' window listener
+        this.onKeyDown = (event) => {
+            if (event.target.tagName === 'INPUT') return;
+
+            if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+                event.stopImmediatePropagation();
+                if (event.key === 'ArrowRight') {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+            }
+        };
+
+        // taking over the camera stops auto-advance
+        this.onPointerDown = () => this.setAutoAdvance(false);
+
+        this.setTour(tour);
+    }
+
+    // replace the tour, ending the current one
+    setTour(tour) {
+        this.end();
+        this.tour = tour;
+
+        // auto-advance is on when the tour has any stop timing
+        this.setAutoAdvance(!!tour.autoAdvance || tour.stops.some(stop => stop.duration));
+    }
+
+    get active() {
+        return this.index >= 0;
+    }
+
+    start(index = 0) {
+        if (!this.active) {
+            window.addEventListener('keydown', this.onKeyDown, true);
+            this.app.graphicsDevice.canvas.addEventListener('pointerdown', this.onPointerDown);
+            this.dom.tourPanel.classList.remove('hidden');
+            this.fire('start');
+        }
+        this.goto(index);
+    }
+
+    end() {
+        if (!this.active) return;
+
+        clearTimeout(this.timeout);
+        this.highlight(null);
+        this.index = -1;
+
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        this.app.graphicsDevice.canvas.removeEventListener('pointerdown', this.onPointerDown);
+        this.dom.tourPanel.classList.add('hidden');
+        this.fire('end');
+    }
+
+    next() {
+        const { stops, loop } = this.tour;
+        if (this.index < stops.length - 1) {
+            this.goto(this.index + 1);
+        } else if (loop) {
+            this.goto(0);
+        } else {
+            this.setAutoAdvance(false);
+        }
+    }
+
+    prev() {
+        if (this.index > 0) {
+            this.goto(this.index - 1);
+        }
+    }
+
+    goto(index) {
+        const { frameScene, poiManager, dom } = this;
+        const { stops } = this.tour;
+        const stop = stops[index];
+        const poi = stop.poi ? poiManager.get(stop.poi) : null;
+
+        this.index = index;
+
+        // move the camera to the stop's view, or frame its poi
+        if (stop.position && stop.target) {
+            frameScene.goTo(stop);
+        } else if (poi) {
+            frameScene.focusOnPoi(poi);
+        }
+
+        // the caption falls back to the poi content
+        dom.tourTitle.textContent = stop.title ?? poi?.title ?? '';
+        dom.tourBody.replaceChildren(...renderParagraphs(stop.body ?? poi?.body));
+        dom.tourStep.textContent = `${index + 1} / ${stops.length}`;
+        dom.tourPrev.disabled = index === 0;
+        dom.tourNext.disabled = index === stops.length - 1 && !this.tour.loop;
+
+        this.highlight(poi?.id ?? null);
+        this.schedule();
+        this.fire('stop', index);
+    }
+
+    setAutoAdvance(enabled) {
+        this.autoAdvance = enabled;
+        this.dom.tourAuto.classList[enabled ? 'add' : 'remove']('active');
+        this.schedule();
+    }
+
+    // schedule the next stop after the current stop's duration
+    schedule() {
+        clearTimeout(this.timeout);
+        if (!this.active || !this.autoAdvance) return;
+
+        const duration = this.tour.stops[this.index].duration ?? this.tour.autoAdvance ?? 0;
+        if (duration > 0) {
+            this.timeout = setTimeout(() => this.next(), duration * 1000);
+        }
+    }
+
+    highlight(id) {
+        if (this.highlighted !== null) {
+            this.poiManager.highlight(this.highlighted, false);
+        }
+        if (id !== null) {
+            this.poiManager.highlight(id, true);
+        }
+        this.highlighted = id;
+        this.app.renderNextFrame = true;
+    }
+}
+
+export { GuidedTour };
@@ -0,0 +1,99 @@
+// headline shown in the error overlay for each failure reason
+const TITLES = {
+    'not-found': 'Scene not found',
+    http: 'The server returned an error',
+    network: 'Could not reach the server',
+    parse: 'The scene could not be read',
+    integrity: 'The scene failed verification',
+    decrypt: 'The scene could not be decrypted',
+    'context-lost': 'The graphics context was lost',
+    unknown: 'The scene failed to load'
+};
+
+// a failed load with the reason it failed: one of the TITLES keys. http failures carry
+// the response status.
+class LoadError extends Error {
+    constructor(reason, message, { url = null, status = null } = {}) {
+        super(message);
+        this.name = 'LoadError';
+        this.reason = reason;
+        this.url = url;
+        this.status = status;
+    }
+}
+
+const httpError = (url, status) => {
+    return new LoadError(status === 404 || status === 410 ? 'not-found' : 'http', `failed to fetch ${url} (${status})`, { url, status });
+};
+
+const networkError = (url) => {
+    return new LoadError('network', `failed to fetch ${url}, the server may be unreachable or not allow cross-origin requests`, { url });
+};
+
+// work out why loading a url failed. the engine's splat parser doesn't check the response
+// status, so a missing file surfaces as a parse error: probe the url to tell them apart.
+const diagnoseLoadError = async (err, url) => {
+    if (err instanceof LoadError) {
+        return err;
+    }
+    if (!url) {
+        return new LoadError('unknown', err?.message ?? String(err));
+    }
+
+    // local files (blob urls) can't fail to download and can't be probed with HEAD
+    if (url.startsWith('blob:')) {
+        return new LoadError('parse', `the file is not a valid splat file (${err?.message ?? err})`, { url });
+    }
+
+    let response;
+    try {
+        response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+    } catch (probeErr) {
+        return networkError(url);
+    }
+    if (!response.ok) {
+        return httpError(url, response.status);
+    }
+    return new LoadError('parse', `${url} is not a valid splat file (${err?.message ?? err})`, { url });
+};
+
+// overlay explaining a failed load, with a retry button. the poster, if any, stays up as
+// the fallback. each error is also passed to window.loadError ({ reason, message, url,
+// status }) so embedding pages can react.
+class ErrorOverlay {
+    constructor() {
+        const dom = ['errorOverlay', 'errorTitle', 'errorMessage', 'errorRetry'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+        this.retry = null;
+
+        dom.errorRetry.addEventListener('click', () => {
+            const { retry } = this;
+            this.hide();
+            retry?.();
+        });
+    }
+
+    // show an error, with retry called when the retry button is pressed
+    show(error, retry) {
+        const { dom } = this;
+        const { reason = 'unknown', message, url = null, status = null } = error;
+
+        dom.errorTitle.textContent = TITLES[reason] ?? TITLES.unknown;
+        dom.errorMessage.textContent = message;
+        dom.errorRetry.classList[retry ? 'remove' : 'add']('hidden');
+        dom.errorOverlay.classList.remove('hidden');
+        this.retry = retry;
+
+        window.loadError?.({ reason, message, url, status });
+    }
+
+    hide() {
+        this.dom.errorOverlay.classList.add('hidden');
+        this.retry = null;
+    }
+}
+
+export { ErrorOverlay, LoadError, diagnoseLoadError, httpError, networkError };
@@ -0,0 +1,123 @@
+import { mapTrackTime, trackDuration } from './anim-track.js';
+
+const SPEEDS = [0.25, 0.5, 1, 1.5, 2];
+
+// timeline bar for the camera animation: play/pause, scrubbing, playback speed and
+// track selection. interacting with the scene pauses the tour; play resumes it.
+class PlaybackControls {
+    constructor(app, frameScene, animTracks) {
+        this.app = app;
+        this.frameScene = frameScene;
+        this.scrubbing = false;
+
+        const dom = ['playbackBar', 'playbackToggle', 'playIcon', 'pauseIcon', 'playbackTime', 'playbackSpeed', 'playbackTrack'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+
+        dom.playbackSpeed.replaceChildren(...SPEEDS.map((speed) => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            return option;
+        }));
+        dom.playbackSpeed.value = frameScene.speed;
+
+        dom.playbackToggle.addEventListener('click', () => {
+            if (frameScene.animating) {
+                frameScene.cancelAnimation();
+            } else {
+                frameScene.play();
+            }
+        });
+
+        dom.playbackTrack.addEventListener('change', () => {
+            const track = this.animTracks.find(track => track.name === dom.playbackTrack.value);
+            if (track) {
+                frameScene.playTrack(track);
+            }
+        });
+
+        dom.playbackSpeed.addEventListener('change', () => {
+            frameScene.speed = parseFloat(dom.playbackSpeed.value);
+        });
+
+        // scrubbing pauses the tour and moves the camera along the track
+        dom.playbackTime.addEventListener('pointerdown', () => {
+            this.scrubbing = true;
+            frameScene.cancelAnimation();
+        });
+        dom.playbackTime.addEventListener('pointerup', () => {
+            this.scrubbing = false;
+        });
+        dom.playbackTime.addEventListener('input', () => {
+            const { track } = frameScene.cameraAnim;
+            const time = parseFloat(dom.playbackTime.value);
+
+            // the timeline shows track time, so reverse tracks run right to left
+            frameScene.seek(track.loopMode === 'reverse' ? trackDuration(track) - time : time);
+        });
+
+        frameScene.on('play', () => this.refresh());
+        frameScene.on('pause', () => this.refresh());
+        frameScene.on('track', () => this.refresh());
+
+        app.on('update', () => {
+            if (frameScene.animating && !this.scrubbing) {
+                this.updateTime();
+            }
+        });
+
+        this.setTracks(animTracks);
+    }
+
+    // list the tracks of the current scene
+    setTracks(animTracks) {
+        const { dom } = this;
+        this.animTracks = animTracks;
+
+        dom.playbackTrack.replaceChildren(...animTracks.map(({ name }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            return option;
+        }));
+        dom.playbackTrack.classList[animTracks.length > 1 ? 'remove' : 'add']('hidden');
+
+        this.refresh();
+    }
+
+    show() {
+        this.dom.playbackBar.classList.remove('hidden');
+    }
+
+    hide() {
+        this.dom.playbackBar.classList.add('hidden');
+    }
+
+    updateTime() {
+        const { cameraAnim } = this.frameScene;
+        if (cameraAnim) {
+            const { track, time } = cameraAnim;
+            this.dom.playbackTime.value = mapTrackTime(time, trackDuration(track), track.loopMode);
+        }
+    }
+
+    refresh() {
+        const { dom, frameScene } = this;
+        const { animating, cameraAnim } = frameScene;
+
+        dom.playIcon.classList[animating ? 'add' : 'remove']('hidden');
+        dom.pauseIcon.classList[animating ? 'remove' : 'add']('hidden');
+        dom.playbackToggle.title = animating ? 'Pause tour' : 'Play tour';
+
+        if (cameraAnim) {
+            dom.playbackTime.max = trackDuration(cameraAnim.track);
+            dom.playbackTrack.value = cameraAnim.track.name;
+            this.updateTime();
+        }
+    }
+}
+
+export { PlaybackControls };
@@ -0,0 +1,160 @@
+import * as pc from 'playcanvas';
+
+// max pointer travel in pixels for a press to count as a click rather than a drag
+const CLICK_DISTANCE = 4;
+
+const tmpRay = new pc.Ray();
+const tmpV = new pc.Vec3();
+
+// pick pois under the pointer. highlights the hovered poi and fires 'select' (poi) when a
+// poi is clicked.
+class PoiPicker extends pc.EventHandler {
+    constructor(app, camera, poiManager) {
+        super();
+        this.app = app;
+        this.camera = camera;
+        this.poiManager = poiManager;
+        this.hovered = null;
+
+        const canvas = app.graphicsDevice.canvas;
+        const down = new pc.Vec2();
+
+        this.onPointerMove = (event) => {
+            // ignore drags so orbiting doesn't flicker highlights
+            if (event.buttons === 0) {
+                this.hover(this.pick(event.offsetX, event.offsetY));
+            }
+        };
+
+        this.onPointerDown = (event) => {
+            down.set(event.offsetX, event.offsetY);
+        };
+
+        this.onPointerUp = (event) => {
+            if (event.button !== 0) return;
+
+            const dx = event.offsetX - down.x;
+            const dy = event.offsetY - down.y;
+            if (dx * dx + dy * dy <= CLICK_DISTANCE * CLICK_DISTANCE) {
+                const poi = this.pick(event.offsetX, event.offsetY);
+                if (poi) {
+                    this.fire('select', poi);
+                }
+            }
+        };
+
+        this.onRemove = (poi) => {
+            if (this.hovered === poi.id) {
+                this.hover(null);
+            }
+        };
+
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        poiManager.on('remove', this.onRemove);
+    }
+
+    pick(x, y) {
+        const { camera } = this;
+        const origin = camera.getPosition();
+        camera.camera.screenToWorld(x, y, camera.camera.farClip, tmpV);
+        tmpRay.set(origin, tmpV.sub(origin).normalize());
+        return this.poiManager.pick(tmpRay);
+    }
+
+    hover(poi) {
+        const id = poi?.id ?? null;
+        if (id === this.hovered) return;
+
+        if (this.hovered !== null) {
+            this.poiManager.highlight(this.hovered, false);
+        }
+        if (id !== null) {
+            this.poiManager.highlight(id, true);
+        }
+
+        this.hovered = id;
+        this.app.graphicsDevice.canvas.style.cursor = id === null ? '' : 'pointer';
+    }
+
+    destroy() {
+        const canvas = this.app.graphicsDevice.canvas;
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointerup', this.onPointerUp);
+        this.poiManager.off('remove', this.onRemove);
+        this.hover(null);
+    }
+}
+
+// render body text as paragraph elements. paragraphs are separated by blank lines and set
+// as text, never as html.
+const renderParagraphs = (body = '') => {
+    return body.split(/\n\s*\n/).filter(p => p.trim()).map((text) => {
+        const p = document.createElement('p');
+        p.textContent = text;
+        return p;
+    });
+};
+
+// html panel showing a poi's body text, images and links, with a 'fly to' button.
+// body paragraphs are separated by blank lines and rendered as text, never as html.
+class PoiPanel {
+    constructor(onFlyTo) {
+        const dom = ['poiPanel', 'poiPanelContent', 'poiTitle', 'poiBody', 'poiImages', 'poiLinks', 'poiFlyTo', 'poiClose'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+
+        this.dom = dom;
+        this.poi = null;
+
+        dom.poiPanel.addEventListener('click', () => this.hide());
+        dom.poiPanelContent.addEventListener('click', event => event.stopPropagation());
+        dom.poiClose.addEventListener('click', () => this.hide());
+        dom.poiFlyTo.addEventListener('click', () => {
+            const { poi } = this;
+            this.hide();
+            onFlyTo(poi);
+        });
+    }
+
+    get visible() {
+        return !this.dom.poiPanel.classList.contains('hidden');
+    }
+
+    show(poi) {
+        const { dom } = this;
+        const { title, body, images = [], links = [] } = poi;
+
+        this.poi = poi;
+        dom.poiTitle.textContent = title;
+
+        dom.poiBody.replaceChildren(...renderParagraphs(body));
+
+        dom.poiImages.replaceChildren(...images.map((src) => {
+            const img = document.createElement('img');
+            img.src = src;
+            img.alt = title;
+            return img;
+        }));
+
+        dom.poiLinks.replaceChildren(...links.map(({ title, url }) => {
+            const a = document.createElement('a');
+            a.href = url;
+            a.target = '_blank';
+            a.rel = 'noopener';
+            a.textContent = title ?? url;
+            return a;
+        }));
+
+        dom.poiPanel.classList.remove('hidden');
+    }
+
+    hide() {
+        this.dom.poiPanel.classList.add('hidden');
+    }
+}
+
+export { PoiPicker, PoiPanel, renderParagraphs };
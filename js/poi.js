@@ -0,0 +1,283 @@
+import * as pc from 'playcanvas';
+
+const POI_HEADING = '# POI 정보';
+
+const HIGHLIGHT_EMISSIVE = new pc.Color(0.4, 0.4, 0.4);
+
+const tmpPoint = new pc.Vec3();
+
+const DEFAULT_STYLE = {
+    type: 'cube',
+    size: 4,
+    background: '#E33C2F',
+    color: '#ffffff'
+};
+
+// draw the poi heading, optional icon and title onto the canvas
+function drawPoiCanvas(canvas, poi, style, icon) {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+
+    // Fill background
+    ctx.fillStyle = style.background;
+    ctx.fillRect(0, 0, width, height);
+
+    // Setup text
+    ctx.font = 'bold 75px "Noto Sans KR"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = style.color;
+
+    // Draw the icon in place of the heading once it has loaded
+    if (icon) {
+        const size = 128;
+        ctx.drawImage(icon, (width - size) / 2, 100 - size / 2, size, size);
+    } else {
+        ctx.fillText(POI_HEADING, width / 2, 100);
+    }
+
+    // Draw text in center
+    ctx.fillText(poi.title, width / 2, height / 2 + 40);
+}
+
+function createTextTexture(app, poi, style, width = 512, height = 512) {
+    // Create a canvas to draw the text
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    drawPoiCanvas(canvas, poi, style, null);
+
+    // Create a PlayCanvas texture from the canvas
+    const texture = new pc.Texture(app.graphicsDevice);
+    texture.setSource(canvas);
+
+    // redraw with the icon when it arrives
+    if (poi.icon) {
+        const icon = new Image();
+        icon.crossOrigin = 'anonymous';
+        icon.onload = () => {
+            // skip if the poi was removed while the icon loaded
+            if (texture.device) {
+                drawPoiCanvas(canvas, poi, style, icon);
+                texture.setSource(canvas);
+                app.renderNextFrame = true;
+            }
+        };
+        icon.src = poi.icon;
+    }
+
+    return texture;
+}
+
+// 1. 방향성 조명 (Directional Light) 추가 함수
+function addDirectionalLight(app, intensity = 1, color = [1, 1, 1]) {
+    const light = new pc.Entity('directionalLight');
+    light.addComponent('light', {
+        type: 'directional',
+        color: new pc.Color(color[0], color[1], color[2]),
+        intensity: intensity,
+        castShadows: true,
+        shadowDistance: 40,
+        shadowResolution: 2048,
+        shadowBias: 0.2,
+        normalOffsetBias: 0.05
+    });
+
+    // 조명 방향 설정 (위에서 아래로, 약간 대각선)
+    light.setEulerAngles(45, 30, 0);
+
+    app.root.addChild(light);
+    return light;
+}
+
+// 2. 환경 조명 (Ambient Light) 설정 함수
+function setupAmbientLight(app, color = [0.2, 0.2, 0.3], intensity = 0.4) {
+    app.scene.ambientLight = new pc.Color(color[0], color[1], color[2]);
+    // 또는 app.scene.ambientLuminance = intensity; // 최신 버전에서는 이 방법 사용
+}
+
+function setupBasicLighting(app) {
+    // 환경 조명 설정
+    setupAmbientLight(app, [0.8, 0.8, 0.9], 0.8);
+
+    // 주 방향성 조명 추가
+    const mainLight = addDirectionalLight(app, 1.0, [1, 1, 0.9]);
+
+    // 보조 조명 추가 (반대편에서 약하게)
+    const fillLight = addDirectionalLight(app, 0.3, [0.8, 0.9, 1]);
+    fillLight.setEulerAngles(-30, -45, 0);
+
+    return { mainLight, fillLight };
+}
+
+// manage the scene's points of interest. each poi is rendered either as a cube textured
+// with its title (type 'cube'), as a camera facing plane (type 'billboard') or as an
+// html label drawn by the annotation layer (type 'label', no render component).
+// fires 'add' (poi, entity), 'update' (poi, entity) and 'remove' (poi).
+class PoiManager extends pc.EventHandler {
+    constructor(app, camera) {
+        super();
+        this.app = app;
+        this.camera = camera;
+        this.items = new Map();
+
+        // keep billboards facing the camera
+        this.onUpdate = () => {
+            const cameraPosition = this.camera.getPosition();
+            this.items.forEach(({ entity, style }) => {
+                if (style.type === 'billboard') {
+                    entity.lookAt(cameraPosition);
+                    entity.rotateLocal(-90, 0, 0);
+                }
+            });
+        };
+        app.on('update', this.onUpdate);
+    }
+
+    get list() {
+        return Array.from(this.items.values(), item => item.poi);
+    }
+
+    get(id) {
+        return this.items.get(id)?.poi;
+    }
+
+    entity(id) {
+        return this.items.get(id)?.entity;
+    }
+
+    add(poi) {
+        if (this.items.has(poi.id)) {
+            throw new Error(`poi '${poi.id}' already exists`);
+        }
+
+        const item = this.createItem(poi);
+        this.items.set(poi.id, item);
+        this.app.renderNextFrame = true;
+        this.fire('add', poi, item.entity);
+        return item.entity;
+    }
+
+    update(id, changes) {
+        const item = this.items.get(id);
+        if (!item) {
+            throw new Error(`poi '${id}' not found`);
+        }
+
+        const poi = {
+            ...item.poi,
+            ...changes,
+            id,
+            style: { ...item.poi.style, ...changes.style }
+        };
+
+        this.destroyItem(item);
+        const updated = this.createItem(poi);
+        this.items.set(id, updated);
+        this.app.renderNextFrame = true;
+        this.fire('update', poi, updated.entity);
+        return updated.entity;
+    }
+
+    remove(id) {
+        const item = this.items.get(id);
+        if (item) {
+            this.destroyItem(item);
+            this.items.delete(id);
+            this.app.renderNextFrame = true;
+            this.fire('remove', item.poi);
+        }
+    }
+
+    clear() {
+        Array.from(this.items.keys()).forEach(id => this.remove(id));
+    }
+
+    // return the nearest poi hit by the world space ray
+    pick(ray) {
+        let result = null;
+        let nearest = Infinity;
+        this.items.forEach(({ poi, entity }) => {
+            const aabb = entity.render?.meshInstances[0]?.aabb;
+            if (aabb?.intersectsRay(ray, tmpPoint)) {
+                const distance = tmpPoint.distance(ray.origin);
+                if (distance < nearest) {
+                    nearest = distance;
+                    result = poi;
+                }
+            }
+        });
+        return result;
+    }
+
+    highlight(id, on) {
+        const item = this.items.get(id);
+        if (item?.material) {
+            item.material.emissive.copy(on ? HIGHLIGHT_EMISSIVE : pc.Color.BLACK);
+            item.material.update();
+            this.app.renderNextFrame = true;
+        }
+    }
+
+    destroy() {
+        this.clear();
+        this.app.off('update', this.onUpdate);
+    }
+
+    createItem(poi) {
+        const { app } = this;
+        const style = { ...DEFAULT_STYLE, ...poi.style };
+        const [x, y, z] = poi.position;
+
+        if (style.type === 'label') {
+            const entity = new pc.Entity(`poi-${poi.id}`);
+            entity.setPosition(x, y, z);
+            app.root.addChild(entity);
+            return { poi, style, entity, material: null };
+        }
+
+        if (!app.root.findByName('directionalLight')) {
+            setupBasicLighting(app);
+        }
+
+        const billboard = style.type === 'billboard';
+        const entity = new pc.Entity(`poi-${poi.id}`);
+        entity.addComponent('render', {
+            type: billboard ? 'plane' : 'box'
+        });
+
+        // Create material with text texture
+        const material = new pc.StandardMaterial();
+        material.diffuseMap = createTextTexture(app, poi, style);
+        material.emissiveMap = material.diffuseMap;
+        if (billboard) {
+            material.cull = pc.CULLFACE_NONE;
+        }
+        material.update();
+        entity.render.material = material;
+
+        entity.setPosition(x, y, z);
+        entity.setLocalScale(style.size, billboard ? 1 : style.size, style.size);
+
+        // render on top of the splats
+        const overlayLayer = app.scene.layers.getLayerByName('Immediate');
+        if (overlayLayer) {
+            entity.render.layers = [overlayLayer.id];
+        }
+
+        app.root.addChild(entity);
+
+        return { poi, style, entity, material };
+    }
+
+    destroyItem({ entity, material }) {
+        if (material) {
+            material.diffuseMap?.destroy();
+            material.destroy();
+        }
+        entity.destroy();
+    }
+}
+
+export { PoiManager };
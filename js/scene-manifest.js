@@ -0,0 +1,58 @@
+import { LoadError, httpError, networkError } from './load-error.js';
+
+// scene manifest: lists the captures a single deployment can serve
+const MANIFEST_URL = './scenes.json';
+
+const fetchJson = async (url) => {
+    const response = await fetch(url).catch(() => {
+        throw networkError(url);
+    });
+    if (!response.ok) {
+        throw httpError(url, response.status);
+    }
+    return response.json();
+};
+
+const loadManifest = (url = MANIFEST_URL) => fetchJson(url);
+
+// resolve the scene entry to display from the url parameters.
+// ?load= takes precedence and bypasses the manifest entirely, otherwise ?scene=
+// selects an entry by id, falling back to the manifest default.
+const resolveScene = async (params) => {
+    if (params.load) {
+        return {
+            id: null,
+            splats: [{ url: params.load }],
+            poster: params.posterUrl,
+            camera: {}
+        };
+    }
+
+    const manifest = await loadManifest();
+    const { scenes = [] } = manifest;
+    const id = params.scene ?? manifest.default ?? scenes[0]?.id;
+    const entry = scenes.find(scene => scene.id === id);
+
+    if (!entry) {
+        throw new LoadError('not-found', `scene '${id}' not found in manifest`);
+    }
+
+    // an entry lists its splats with per-splat transforms, or a single url
+    const splats = entry.splats ?? [{ url: entry.url, sha256: entry.sha256, lods: entry.lods }];
+    if (splats.length === 0 || splats.some(splat => !splat.url)) {
+        throw new Error(`scene '${id}' has no splat url`);
+    }
+    const hashes = splats.flatMap(splat => [splat.sha256, ...(splat.lods ?? []).map(lod => lod.sha256)]);
+    if (hashes.some(sha256 => sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(sha256))) {
+        throw new Error(`scene '${id}' has an invalid sha256 hash`);
+    }
+
+    return {
+        ...entry,
+        splats,
+        poster: params.posterUrl ?? entry.poster,
+        camera: entry.camera ?? {}
+    };
+};
+
+export { loadManifest, resolveScene };
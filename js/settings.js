@@ -0,0 +1,417 @@
+import { EASING_CURVES, WRAPPING_MODES } from './track-time.js';
+
+// viewer settings: fetched from settings.json, migrated to the current schema version and validated
+const SETTINGS_URL = './settings.json';
+const SETTINGS_VERSION = 1;
+
+const START_ANIMS = ['none', 'animTrack'];
+const LOOP_MODES = ['none', 'repeat', 'pingpong', 'reverse', 'once-then-orbit'];
+const POI_TYPES = ['cube', 'billboard', 'label'];
+const VOLUME_TYPES = ['box', 'sphere'];
+
+// quality tiers, lowest first
+const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    camera: {
+        fov: 50,
+        position: null,
+        target: null,
+        startAnim: 'none',
+        animTrack: null
+    },
+    background: {
+        color: [0.5, 0.5, 0.5]
+    },
+    animTracks: [],
+    pois: [],
+    tour: null,
+    constraints: {
+        pitchRange: null,
+        volume: null,
+        ground: null
+    },
+    // the quality tier (null picks one with a startup benchmark) and the splat budget of
+    // each tier (null renders every splat)
+    quality: {
+        tier: null,
+        low: 500000,
+        medium: 1500000,
+        high: null
+    }
+};
+
+class SettingsError extends Error {
+    constructor(errors) {
+        super(`invalid settings:\n${errors.join('\n')}`);
+        this.name = 'SettingsError';
+        this.errors = errors;
+    }
+}
+
+// migrations[n] upgrades a version n document to version n + 1
+const migrations = {
+    // unversioned documents are the original inline window.settings format
+    0: settings => settings
+};
+
+const migrate = (settings) => {
+    let version = settings.version ?? 0;
+
+    if (typeof version !== 'number' || version > SETTINGS_VERSION) {
+        throw new SettingsError([`version: unsupported settings version '${version}'`]);
+    }
+
+    while (version < SETTINGS_VERSION) {
+        settings = migrations[version](settings);
+        settings.version = ++version;
+    }
+
+    return settings;
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+const isNumberArray = (value, length) => Array.isArray(value) && (length === undefined || value.length === length) && value.every(isNumber);
+
+// merge the defaults underneath the given settings, one level deep
+const applyDefaults = (settings) => {
+    const result = { ...DEFAULT_SETTINGS, ...settings };
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        if (isObject(DEFAULT_SETTINGS[key]) && isObject(settings[key])) {
+            result[key] = { ...DEFAULT_SETTINGS[key], ...settings[key] };
+        }
+    });
+    return result;
+};
+
+const validateTrack = (track, path, errors) => {
+    if (!isObject(track)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    const { name, duration, loopMode, easing, keyframes } = track;
+
+    if (typeof name !== 'string' || !name) {
+        errors.push(`${path}.name: must be a non-empty string`);
+    }
+    if (!isNumber(duration) || duration <= 0) {
+        errors.push(`${path}.duration: must be a positive number`);
+    }
+    if (!LOOP_MODES.includes(loopMode)) {
+        errors.push(`${path}.loopMode: must be one of ${LOOP_MODES.join(', ')}`);
+    }
+    if (easing !== undefined) {
+        if (!isObject(easing)) {
+            errors.push(`${path}.easing: must be an object`);
+        } else {
+            ['in', 'out'].forEach((key) => {
+                if (easing[key] !== undefined && (!isNumber(easing[key]) || easing[key] < 0)) {
+                    errors.push(`${path}.easing.${key}: must be a non-negative number of seconds`);
+                }
+            });
+            if (easing.curve !== undefined && !Object.keys(EASING_CURVES).includes(easing.curve)) {
+                errors.push(`${path}.easing.curve: must be one of ${Object.keys(EASING_CURVES).join(', ')}`);
+            }
+        }
+    }
+    if (!isObject(keyframes)) {
+        errors.push(`${path}.keyframes: must be an object`);
+        return;
+    }
+
+    const { times, values, holds } = keyframes;
+    // the spline needs two keyframes to derive its tangents from
+    if (!isNumberArray(times) || times.length < 2) {
+        errors.push(`${path}.keyframes.times: must be an array of at least 2 numbers`);
+        return;
+    }
+    const last = times[times.length - 1];
+    if (times.some((time, i) => i > 0 && time <= times[i - 1])) {
+        errors.push(`${path}.keyframes.times: must be strictly increasing`);
+    }
+    if (times[0] < 0 || (isNumber(duration) && last > duration)) {
+        errors.push(`${path}.keyframes.times: must lie between 0 and the duration`);
+    } else if (isNumber(duration) && WRAPPING_MODES.includes(loopMode) && last - times[0] >= duration) {
+        // the looping spline returns from the last keyframe to the first, one duration later
+        errors.push(`${path}.keyframes.times: must span less than the duration for ${loopMode} tracks`);
+    }
+    if (holds !== undefined && !(isNumberArray(holds, times.length) && holds.every(hold => hold >= 0))) {
+        errors.push(`${path}.keyframes.holds: must be an array of ${times.length} non-negative numbers (seconds per keyframe)`);
+    }
+    if (!isObject(values)) {
+        errors.push(`${path}.keyframes.values: must be an object`);
+        return;
+    }
+
+    ['position', 'target'].forEach((channel) => {
+        if (!isNumberArray(values[channel], times.length * 3)) {
+            errors.push(`${path}.keyframes.values.${channel}: must be an array of ${times.length * 3} numbers (3 per keyframe)`);
+        }
+    });
+
+    // optional scalar channels, one value per keyframe
+    ['fov', 'roll'].forEach((channel) => {
+        if (values[channel] !== undefined && !isNumberArray(values[channel], times.length)) {
+            errors.push(`${path}.keyframes.values.${channel}: must be an array of ${times.length} numbers (1 per keyframe)`);
+        }
+    });
+    if (isNumberArray(values.fov) && values.fov.some(fov => fov <= 0 || fov >= 180)) {
+        errors.push(`${path}.keyframes.values.fov: must be numbers between 0 and 180`);
+    }
+};
+
+const validatePoi = (poi, path, errors) => {
+    if (!isObject(poi)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    const { id, position, title, body, icon, images, links, style } = poi;
+
+    if (typeof id !== 'string' || !id) {
+        errors.push(`${path}.id: must be a non-empty string`);
+    }
+    if (!isNumberArray(position, 3)) {
+        errors.push(`${path}.position: must be an array of 3 numbers`);
+    }
+    if (typeof title !== 'string') {
+        errors.push(`${path}.title: must be a string`);
+    }
+    if (body !== undefined && typeof body !== 'string') {
+        errors.push(`${path}.body: must be a string`);
+    }
+    if (icon !== undefined && typeof icon !== 'string') {
+        errors.push(`${path}.icon: must be an image url`);
+    }
+    if (images !== undefined && !(Array.isArray(images) && images.every(image => typeof image === 'string'))) {
+        errors.push(`${path}.images: must be an array of image urls`);
+    }
+    if (links !== undefined && !(Array.isArray(links) && links.every(link => isObject(link) && typeof link.url === 'string'))) {
+        errors.push(`${path}.links: must be an array of { title, url } objects`);
+    }
+    if (style !== undefined) {
+        if (!isObject(style)) {
+            errors.push(`${path}.style: must be an object`);
+            return;
+        }
+        if (style.type !== undefined && !POI_TYPES.includes(style.type)) {
+            errors.push(`${path}.style.type: must be one of ${POI_TYPES.join(', ')}`);
+        }
+        if (style.size !== undefined && (!isNumber(style.size) || style.size <= 0)) {
+            errors.push(`${path}.style.size: must be a positive number`);
+        }
+        ['background', 'color'].forEach((key) => {
+            if (style[key] !== undefined && typeof style[key] !== 'string') {
+                errors.push(`${path}.style.${key}: must be a css color string`);
+            }
+        });
+    }
+};
+
+const validateStop = (stop, path, errors) => {
+    if (!isObject(stop)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    const { position, target, fov, poi, title, body, duration } = stop;
+
+    if (position !== undefined || target !== undefined) {
+        if (!isNumberArray(position, 3) || !isNumberArray(target, 3)) {
+            errors.push(`${path}: position and target must both be arrays of 3 numbers`);
+        }
+    } else if (poi === undefined) {
+        errors.push(`${path}: needs a position and target, or a poi to frame`);
+    }
+    if (fov !== undefined && (!isNumber(fov) || fov <= 0 || fov >= 180)) {
+        errors.push(`${path}.fov: must be a number between 0 and 180`);
+    }
+    if (poi !== undefined && typeof poi !== 'string') {
+        errors.push(`${path}.poi: must be a poi id`);
+    }
+    ['title', 'body'].forEach((key) => {
+        if (stop[key] !== undefined && typeof stop[key] !== 'string') {
+            errors.push(`${path}.${key}: must be a string`);
+        }
+    });
+    if (duration !== undefined && (!isNumber(duration) || duration <= 0)) {
+        errors.push(`${path}.duration: must be a positive number of seconds`);
+    }
+};
+
+const validateTour = (tour, pois, path, errors) => {
+    if (!isObject(tour)) {
+        errors.push(`${path}: must be null or an object`);
+        return;
+    }
+
+    const { stops, autoAdvance = null, loop = false } = tour;
+
+    if (!Array.isArray(stops) || stops.length === 0) {
+        errors.push(`${path}.stops: must be a non-empty array`);
+    } else {
+        stops.forEach((stop, i) => {
+            validateStop(stop, `${path}.stops[${i}]`, errors);
+            if (typeof stop?.poi === 'string' && Array.isArray(pois) && !pois.some(poi => poi?.id === stop.poi)) {
+                errors.push(`${path}.stops[${i}].poi: no pois entry with id '${stop.poi}'`);
+            }
+        });
+    }
+    if (autoAdvance !== null && (!isNumber(autoAdvance) || autoAdvance <= 0)) {
+        errors.push(`${path}.autoAdvance: must be null or a positive number of seconds`);
+    }
+    if (typeof loop !== 'boolean') {
+        errors.push(`${path}.loop: must be a boolean`);
+    }
+};
+
+const validateConstraints = (constraints, path, errors) => {
+    if (!isObject(constraints)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    const { pitchRange, volume, ground } = constraints;
+
+    if (pitchRange !== null && !(isNumberArray(pitchRange, 2) && pitchRange[0] <= pitchRange[1])) {
+        errors.push(`${path}.pitchRange: must be null or [min, max] in degrees`);
+    }
+
+    if (volume !== null) {
+        if (!isObject(volume) || !VOLUME_TYPES.includes(volume.type)) {
+            errors.push(`${path}.volume.type: must be one of ${VOLUME_TYPES.join(', ')}`);
+        } else if (volume.type === 'box') {
+            if (!isNumberArray(volume.min, 3) || !isNumberArray(volume.max, 3)) {
+                errors.push(`${path}.volume: box needs min and max arrays of 3 numbers`);
+            } else if (volume.min.some((v, i) => v > volume.max[i])) {
+                errors.push(`${path}.volume: box min must not exceed max`);
+            }
+        } else if (!isNumberArray(volume.center, 3) || !isNumber(volume.radius) || volume.radius <= 0) {
+            errors.push(`${path}.volume: sphere needs a center array of 3 numbers and a positive radius`);
+        }
+    }
+
+    if (ground !== null) {
+        if (!isObject(ground)) {
+            errors.push(`${path}.ground: must be null or an object`);
+        } else {
+            if (ground.height !== undefined && ground.height !== null && !isNumber(ground.height)) {
+                errors.push(`${path}.ground.height: must be a number, or null to estimate it from the splats`);
+            }
+            if (ground.clearance !== undefined && (!isNumber(ground.clearance) || ground.clearance < 0)) {
+                errors.push(`${path}.ground.clearance: must be a non-negative number`);
+            }
+        }
+    }
+};
+
+const validateQuality = (quality, path, errors) => {
+    if (!isObject(quality)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    if (quality.tier !== null && !QUALITY_TIERS.includes(quality.tier)) {
+        errors.push(`${path}.tier: must be null or one of ${QUALITY_TIERS.join(', ')}`);
+    }
+    QUALITY_TIERS.forEach((tier) => {
+        const budget = quality[tier];
+        if (budget !== null && !(Number.isInteger(budget) && budget > 0)) {
+            errors.push(`${path}.${tier}: must be null or a positive integer splat budget`);
+        }
+    });
+};
+
+const validate = (settings) => {
+    const errors = [];
+    const { camera, background, animTracks, pois, tour, constraints, quality } = settings;
+
+    if (!isObject(camera)) {
+        errors.push('camera: must be an object');
+    } else {
+        if (!isNumber(camera.fov) || camera.fov <= 0 || camera.fov >= 180) {
+            errors.push('camera.fov: must be a number between 0 and 180');
+        }
+        ['position', 'target'].forEach((key) => {
+            if (camera[key] !== null && !isNumberArray(camera[key], 3)) {
+                errors.push(`camera.${key}: must be null or an array of 3 numbers`);
+            }
+        });
+        if (!START_ANIMS.includes(camera.startAnim)) {
+            errors.push(`camera.startAnim: must be one of ${START_ANIMS.join(', ')}`);
+        }
+        if (camera.animTrack !== null && typeof camera.animTrack !== 'string') {
+            errors.push('camera.animTrack: must be null or a string');
+        }
+    }
+
+    if (!isObject(background)) {
+        errors.push('background: must be an object');
+    } else if (!isNumberArray(background.color) || ![3, 4].includes(background.color.length)) {
+        errors.push('background.color: must be an array of 3 or 4 numbers');
+    }
+
+    if (!Array.isArray(animTracks)) {
+        errors.push('animTracks: must be an array');
+    } else {
+        animTracks.forEach((track, i) => validateTrack(track, `animTracks[${i}]`, errors));
+
+        if (camera?.startAnim === 'animTrack' && !animTracks.some(track => track?.name === camera.animTrack)) {
+            errors.push(`camera.animTrack: no animTracks entry named '${camera.animTrack}'`);
+        }
+    }
+
+    if (!Array.isArray(pois)) {
+        errors.push('pois: must be an array');
+    } else {
+        pois.forEach((poi, i) => validatePoi(poi, `pois[${i}]`, errors));
+
+        const ids = pois.map(poi => poi?.id);
+        ids.forEach((id, i) => {
+            if (ids.indexOf(id) !== i) {
+                errors.push(`pois[${i}].id: duplicate id '${id}'`);
+            }
+        });
+    }
+
+    if (tour !== null) {
+        validateTour(tour, pois, 'tour', errors);
+    }
+
+    validateConstraints(constraints, 'constraints', errors);
+    validateQuality(quality, 'quality', errors);
+
+    if (errors.length > 0) {
+        throw new SettingsError(errors);
+    }
+
+    return settings;
+};
+
+// fetch, migrate and validate the settings. overrides (e.g. the scene manifest camera)
+// are merged over the loaded document before validation.
+const loadSettings = async (url = SETTINGS_URL, overrides = {}) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`failed to fetch ${url} (${response.status})`);
+    }
+
+    const json = await response.json();
+    if (!isObject(json)) {
+        throw new SettingsError(['settings: must be a JSON object']);
+    }
+
+    const settings = applyDefaults(migrate(json));
+    Object.keys(overrides).forEach((key) => {
+        settings[key] = isObject(settings[key]) ? { ...settings[key], ...overrides[key] } : overrides[key];
+    });
+
+    return validate(settings);
+};
+
+export { QUALITY_TIERS, SETTINGS_VERSION, SettingsError, loadSettings, validate as validateSettings, validateTrack };
@@ -0,0 +1,213 @@
+import * as pc from 'playcanvas';
+
+import { QUALITY_TIERS } from './settings.js';
+
+// max device pixel ratio per quality tier
+const PIXEL_RATIOS = { low: 1, medium: 1.5, high: Infinity };
+
+// frame rate the startup benchmark picks the tier for
+const TARGET_FPS = 45;
+
+// number of frames rendered by the startup benchmark, after skipping the first few
+const BENCHMARK_FRAMES = 60;
+const BENCHMARK_WARMUP = 10;
+
+// delay in ms after the camera comes to rest before the splat selection is updated, and
+// the max interval between updates while it moves
+const REST_DELAY = 200;
+const MOVE_INTERVAL = 500;
+
+// distance below which splats all count as equally close, so the selection doesn't
+// collapse onto the splats right in front of the camera
+const MIN_DISTANCE = 0.1;
+
+const BUCKETS = 1024;
+
+// the size of each splat (its largest axis scaled by opacity), which together with its
+// distance estimates its screen-space size
+const splatSizes = (splatData) => {
+    const s = new pc.Vec3();
+    const c = new pc.Vec4();
+    const iter = splatData.createIter(null, null, s, c);
+    const sizes = new Float32Array(splatData.numSplats);
+
+    for (let i = 0; i < sizes.length; i++) {
+        iter.read(i);
+        // compressed data holds log scales
+        const scale = Math.max(s.x, s.y, s.z);
+        sizes[i] = (splatData.isCompressed ? Math.exp(scale) : scale) * c.w;
+    }
+    return sizes;
+};
+
+// select the budget splats with the largest estimated screen-space size as seen from the
+// camera position (in splat space). the cutoff is found with a histogram of the log size.
+const selectSplats = (centers, sizes, position, budget, scores, counts) => {
+    const count = sizes.length;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < count; i++) {
+        const dx = centers[i * 3] - position.x;
+        const dy = centers[i * 3 + 1] - position.y;
+        const dz = centers[i * 3 + 2] - position.z;
+        const distance = Math.max(MIN_DISTANCE, Math.sqrt(dx * dx + dy * dy + dz * dz));
+        const score = Math.log(sizes[i] / distance + 1e-12);
+        scores[i] = score;
+        min = Math.min(min, score);
+        max = Math.max(max, score);
+    }
+
+    const scale = (BUCKETS - 1) / (max - min || 1);
+    counts.fill(0);
+    for (let i = 0; i < count; i++) {
+        counts[Math.floor((scores[i] - min) * scale)]++;
+    }
+
+    // buckets above the cutoff are kept whole, the cutoff bucket fills the remainder
+    let cutoff = BUCKETS - 1;
+    let total = 0;
+    while (cutoff > 0 && total + counts[cutoff] < budget) {
+        total += counts[cutoff--];
+    }
+    let remaining = budget - total;
+
+    const mapping = new Uint32Array(budget);
+    let n = 0;
+    for (let i = 0; i < count && n < budget; i++) {
+        const bucket = Math.floor((scores[i] - min) * scale);
+        if (bucket > cutoff || (bucket === cutoff && remaining-- > 0)) {
+            mapping[n++] = i;
+        }
+    }
+    return mapping.slice(0, n);
+};
+
+// limits the number of splats rendered to a budget, shared between the splat entities by
+// their size. the splats kept are those largest on screen, reselected as the camera
+// moves and handed to each sorter as its mapping, so the others are neither sorted nor
+// drawn. a null budget renders every splat.
+class SplatBudget {
+    constructor(app, camera) {
+        this.app = app;
+        this.camera = camera;
+        this.budget = null;
+        this.items = [];
+
+        this.counts = new Uint32Array(BUCKETS);
+        this.timeout = null;
+        this.lastUpdate = 0;
+
+        // reselect once the camera comes to rest, and periodically while it moves
+        const prevWorld = new pc.Mat4();
+        app.on('frameend', () => {
+            const world = camera.getWorldTransform();
+            if (this.budget !== null && !world.equals(prevWorld)) {
+                prevWorld.copy(world);
+                clearTimeout(this.timeout);
+                if (performance.now() - this.lastUpdate > MOVE_INTERVAL) {
+                    this.update();
+                } else {
+                    this.timeout = setTimeout(() => this.update(), REST_DELAY);
+                }
+            }
+        });
+    }
+
+    get numSplats() {
+        return this.items.reduce((sum, item) => sum + item.splatData.numSplats, 0);
+    }
+
+    // the splat entities to budget, e.g. after loading or refining
+    setSplats(entities) {
+        const { app } = this;
+        this.items = entities.map((entity) => {
+            const instance = entity.gsplat?.instance;
+            const splatData = app.assets.get(entity.gsplat?.asset)?.resource?.splatData;
+            if (!instance?.sorter || !splatData) {
+                return null;
+            }
+            // sizes and scores are only computed once a budget applies
+            return { entity, instance, splatData, sizes: null, scores: null, mapped: false };
+        }).filter(Boolean);
+        this.update();
+    }
+
+    setBudget(budget) {
+        this.budget = budget;
+        this.update();
+    }
+
+    update() {
+        const { app, camera, budget, items } = this;
+        const numSplats = this.numSplats;
+        this.lastUpdate = performance.now();
+
+        const position = new pc.Vec3();
+        const invModel = new pc.Mat4();
+
+        items.forEach((item) => {
+            const { entity, instance } = item;
+
+            if (budget === null || numSplats <= budget) {
+                if (item.mapped) {
+                    instance.sorter.setMapping(null);
+                    item.mapped = false;
+                }
+                return;
+            }
+
+            invModel.copy(entity.getWorldTransform()).invert();
+            invModel.transformPoint(camera.getPosition(), position);
+
+            item.sizes ??= splatSizes(item.splatData);
+            item.scores ??= new Float32Array(item.sizes.length);
+
+            // the instance's own centers are handed over to the sort worker, the splat keeps a copy
+            const share = Math.floor(budget * item.sizes.length / numSplats);
+            instance.sorter.setMapping(selectSplats(instance.splat.centers, item.sizes, position, share, item.scores, this.counts));
+            item.mapped = true;
+        });
+
+        app.renderNextFrame = true;
+    }
+}
+
+// render the scene continuously for a moment and pick the highest quality tier whose
+// splat budget is expected to reach the target frame rate, assuming the frame time
+// scales with the number of splats drawn. resolves to the tier.
+const benchmarkTier = (app, budgets, numSplats) => {
+    return new Promise((resolve) => {
+        const times = [];
+        let frame = 0;
+        let last = 0;
+
+        const autoRender = app.autoRender;
+        app.autoRender = true;
+
+        const handle = app.on('frameend', () => {
+            const now = performance.now();
+            if (frame++ > BENCHMARK_WARMUP) {
+                times.push(now - last);
+            }
+            last = now;
+
+            if (times.length === BENCHMARK_FRAMES) {
+                handle.off();
+                app.autoRender = autoRender;
+
+                times.sort((a, b) => a - b);
+                const frameTime = times[times.length >> 1];
+                const affordable = numSplats * (1000 / TARGET_FPS) / frameTime;
+
+                const tier = [...QUALITY_TIERS].reverse().find((tier) => {
+                    const budget = budgets[tier] ?? numSplats;
+                    return Math.min(budget, numSplats) <= affordable;
+                });
+                resolve(tier ?? QUALITY_TIERS[0]);
+            }
+        });
+    });
+};
+
+export { PIXEL_RATIOS, SplatBudget, benchmarkTier };
@@ -0,0 +1,145 @@
+import CryptoES from 'crypto';
+
+import { LoadError, httpError, networkError } from './load-error.js';
+
+// encrypted splats are the aes-cbc (pkcs7 padded) encrypted splat file, prefixed with
+// the 16 byte iv. the key is 128, 192 or 256 bits, given as hex or base64(url).
+const IV_SIZE = 16;
+const KEY_SIZES = [16, 24, 32];
+
+const toWordArray = bytes => CryptoES.lib.WordArray.create(bytes);
+
+const toBytes = ({ words, sigBytes }) => {
+    const bytes = new Uint8Array(sigBytes);
+    for (let i = 0; i < sigBytes; i++) {
+        bytes[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+    }
+    return bytes;
+};
+
+// parse a hex or base64(url) key string
+const parseKey = (text) => {
+    const key = /^[0-9a-f]+$/i.test(text) && text.length % 2 === 0 ?
+        CryptoES.enc.Hex.parse(text) :
+        CryptoES.enc.Base64.parse(text.replace(/-/g, '+').replace(/_/g, '/'));
+    if (!KEY_SIZES.includes(key.sigBytes)) {
+        throw new LoadError('decrypt', `invalid splat key length (${key.sigBytes} bytes)`);
+    }
+    return key;
+};
+
+// take the splat key from the url fragment (#key=...), removing it from the address bar
+// so it isn't left in the history or copied along with view links
+const takeHashKey = () => {
+    const match = /(?:^#|&)key=([^&]*)/.exec(location.hash);
+    if (!match) {
+        return null;
+    }
+    const hash = location.hash.replace(/(^#|&)key=[^&]*&?/, '$1').replace(/[#&]$/, '');
+    history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+    return decodeURIComponent(match[1]);
+};
+
+// fetch the key of an encrypted scene from its key exchange endpoint, which responds
+// with { key }. locally the endpoint can be mocked with a static json file.
+const fetchKey = async (keyUrl, sceneId) => {
+    const url = new URL(keyUrl, location.href);
+    if (sceneId) {
+        url.searchParams.set('scene', sceneId);
+    }
+    const response = await fetch(url, { cache: 'no-store' }).catch(() => {
+        throw networkError(url.href);
+    });
+    if (!response.ok) {
+        throw new LoadError('decrypt', `failed to fetch the splat key (${response.status})`, { url: url.href, status: response.status });
+    }
+    const { key } = await response.json();
+    return key;
+};
+
+// resolve the key for a scene's splats: a key in the url fragment takes precedence over
+// the scene's key exchange endpoint. returns null for unencrypted scenes.
+const resolveKey = async (scene) => {
+    const hashKey = takeHashKey();
+    if (hashKey) {
+        return parseKey(hashKey);
+    }
+    if (scene.encryption?.keyUrl) {
+        return parseKey(await fetchKey(scene.encryption.keyUrl, scene.id));
+    }
+    return null;
+};
+
+// fetch a splat file as it streams in, calling onProgress (received, length) with the
+// download progress. with a sha256 (hex) the downloaded bytes are verified, and with a
+// key they are decrypted. resolves to a blob of the plaintext, which only ever exists in
+// memory, so nothing unencrypted reaches the http cache.
+const fetchSplat = async (url, { key = null, sha256 = null } = {}, onProgress) => {
+    const response = await fetch(url).catch(() => {
+        throw networkError(url);
+    });
+    if (!response.ok) {
+        throw httpError(url, response.status);
+    }
+
+    const length = parseInt(response.headers.get('content-length') ?? '0', 10);
+    const reader = response.body.getReader();
+    const hasher = sha256 ? CryptoES.algo.SHA256.create() : null;
+    const chunks = [];
+    let received = 0;
+    let header = new Uint8Array(0);
+    let decryptor = null;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        received += value.length;
+        onProgress?.(received, length);
+        hasher?.update(toWordArray(value));
+
+        if (!key) {
+            chunks.push(value);
+            continue;
+        }
+
+        let data = value;
+        if (!decryptor) {
+            // the stream starts with the iv
+            const needed = IV_SIZE - header.length;
+            header = new Uint8Array([...header, ...value.subarray(0, needed)]);
+            data = value.subarray(needed);
+            if (header.length < IV_SIZE) continue;
+            // the padding is checked below, so a wrong key can be told apart
+            decryptor = CryptoES.algo.AES.createDecryptor(key, { iv: toWordArray(header), padding: CryptoES.pad.NoPadding });
+        }
+        chunks.push(toBytes(decryptor.process(toWordArray(data))));
+    }
+
+    // check the file before anything is decrypted or parsed
+    if (hasher && hasher.finalize().toString(CryptoES.enc.Hex) !== sha256.toLowerCase()) {
+        throw new LoadError('integrity', `${url} failed the integrity check, the file may be corrupt or modified`, { url });
+    }
+
+    if (!key) {
+        return new Blob(chunks);
+    }
+
+    if (!decryptor) {
+        throw new LoadError('decrypt', `${url} is too short to be an encrypted splat`, { url });
+    }
+
+    chunks.push(toBytes(decryptor.finalize()));
+    const blob = new Blob(chunks);
+
+    // a wrong key leaves invalid pkcs7 padding
+    const tail = new Uint8Array(await blob.slice(-IV_SIZE).arrayBuffer());
+    const padding = tail[tail.length - 1];
+    if (tail.length < IV_SIZE || !(padding >= 1 && padding <= IV_SIZE) || tail.subarray(IV_SIZE - padding).some(v => v !== padding)) {
+        throw new LoadError('decrypt', `failed to decrypt ${url}, the key may be wrong`, { url });
+    }
+
+    return blob.slice(0, blob.size - padding);
+};
+
+export { fetchSplat, parseKey, resolveKey };
@@ -0,0 +1,328 @@
+import * as pc from 'playcanvas';
+
+// splat file formats. ply (including compressed ply) is loaded by the engine, the others
+// are converted here into engine gsplat data, using the ply conventions: log scales,
+// logit opacity, rotation as rot_0 (w), rot_1..3 (x, y, z) and color as sh coefficients.
+
+const SH_C0 = 0.28209479177387814;
+
+// sh coefficients per color channel by sh degree
+const SH_COEFFS = [0, 3, 8, 15];
+
+const clamp01 = v => Math.min(1 - 1e-6, Math.max(1e-6, v));
+
+const logit = v => -Math.log(1 / clamp01(v) - 1);
+
+const fromHalf = (h) => {
+    const exponent = (h >> 10) & 0x1f;
+    const fraction = h & 0x3ff;
+    const sign = h & 0x8000 ? -1 : 1;
+    if (exponent === 0) {
+        return sign * 2 ** -14 * (fraction / 1024);
+    }
+    if (exponent === 0x1f) {
+        return fraction ? NaN : sign * Infinity;
+    }
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+// allocate the ply properties of count splats with the given sh degree
+const createProps = (count, shDegree = 0) => {
+    const names = ['x', 'y', 'z', 'scale_0', 'scale_1', 'scale_2', 'f_dc_0', 'f_dc_1', 'f_dc_2', 'opacity', 'rot_0', 'rot_1', 'rot_2', 'rot_3'];
+    for (let i = 0; i < SH_COEFFS[shDegree] * 3; i++) {
+        names.push(`f_rest_${i}`);
+    }
+    return Object.fromEntries(names.map(name => [name, new Float32Array(count)]));
+};
+
+const createGSplatData = (count, props) => {
+    const data = new pc.GSplatData([{
+        name: 'vertex',
+        count,
+        properties: Object.entries(props).map(([name, storage]) => ({ type: 'float', name, storage, byteSize: 4 }))
+    }]);
+    data.reorderData();
+    return data;
+};
+
+// store splat i's color (0..1 rgb), opacity (0..1) and normalized rotation
+const setColor = (props, i, r, g, b, a) => {
+    props.f_dc_0[i] = (r - 0.5) / SH_C0;
+    props.f_dc_1[i] = (g - 0.5) / SH_C0;
+    props.f_dc_2[i] = (b - 0.5) / SH_C0;
+    props.opacity[i] = logit(a);
+};
+
+const setRotation = (props, i, w, x, y, z) => {
+    const l = Math.sqrt(w * w + x * x + y * y + z * z) || 1;
+    props.rot_0[i] = w / l;
+    props.rot_1[i] = x / l;
+    props.rot_2[i] = y / l;
+    props.rot_3[i] = z / l;
+};
+
+// .splat: 32 bytes per splat, position and scale as float32 xyz, rgba as uint8 and the
+// rotation (w, x, y, z) as uint8 mapped from -1..1
+const parseSplat = (buffer) => {
+    const count = Math.floor(buffer.byteLength / 32);
+    const f32 = new Float32Array(buffer, 0, count * 8);
+    const u8 = new Uint8Array(buffer);
+    const props = createProps(count);
+
+    for (let i = 0; i < count; i++) {
+        const f = i * 8;
+        const b = i * 32;
+        props.x[i] = f32[f];
+        props.y[i] = f32[f + 1];
+        props.z[i] = f32[f + 2];
+        props.scale_0[i] = Math.log(f32[f + 3]);
+        props.scale_1[i] = Math.log(f32[f + 4]);
+        props.scale_2[i] = Math.log(f32[f + 5]);
+        setColor(props, i, u8[b + 24] / 255, u8[b + 25] / 255, u8[b + 26] / 255, u8[b + 27] / 255);
+        setRotation(props, i, u8[b + 28] - 128, u8[b + 29] - 128, u8[b + 30] - 128, u8[b + 31] - 128);
+    }
+
+    return createGSplatData(count, props);
+};
+
+// .ksplat (GaussianSplats3D): a 4096 byte header, 1024 byte section headers, then the
+// sections. compression level 0 stores float32 data, levels 1 and 2 store positions as
+// uint16 offsets from their bucket center and the rest as float16. sh are not converted.
+const KSPLAT_HEADER_SIZE = 4096;
+const KSPLAT_SECTION_HEADER_SIZE = 1024;
+const KSPLAT_SH_COMPONENTS = [0, 9, 24, 45];
+const KSPLAT_DEFAULT_SCALE_RANGE = 32767;
+
+const parseKsplat = (buffer) => {
+    const header = new DataView(buffer, 0, KSPLAT_HEADER_SIZE);
+    const versionMajor = header.getUint8(0);
+    const versionMinor = header.getUint8(1);
+    if (versionMajor !== 0 || versionMinor < 1) {
+        throw new Error(`unsupported ksplat version ${versionMajor}.${versionMinor}`);
+    }
+
+    const maxSectionCount = header.getUint32(4, true);
+    const sectionCount = header.getUint32(8, true);
+    const count = header.getUint32(16, true);
+    const compressionLevel = header.getUint16(20, true);
+    if (compressionLevel > 2) {
+        throw new Error(`unsupported ksplat compression level ${compressionLevel}`);
+    }
+
+    const props = createProps(count);
+    let sectionBase = KSPLAT_HEADER_SIZE + maxSectionCount * KSPLAT_SECTION_HEADER_SIZE;
+    let index = 0;
+
+    for (let s = 0; s < sectionCount; s++) {
+        const section = new DataView(buffer, KSPLAT_HEADER_SIZE + s * KSPLAT_SECTION_HEADER_SIZE, KSPLAT_SECTION_HEADER_SIZE);
+        const splatCount = section.getUint32(0, true);
+        const maxSplatCount = section.getUint32(4, true);
+        const bucketSize = section.getUint32(8, true);
+        const bucketCount = section.getUint32(12, true);
+        const bucketBlockSize = section.getFloat32(16, true);
+        const bucketStorageSize = section.getUint16(20, true);
+        const scaleRange = section.getUint32(24, true) || KSPLAT_DEFAULT_SCALE_RANGE;
+        const fullBucketCount = section.getUint32(32, true);
+        const partialBucketCount = section.getUint32(36, true);
+        const shDegree = section.getUint16(40, true);
+
+        const shSize = KSPLAT_SH_COMPONENTS[shDegree] * (compressionLevel === 0 ? 4 : compressionLevel === 1 ? 2 : 1);
+        const splatSize = (compressionLevel === 0 ? 44 : 24) + shSize;
+        const bucketsSize = bucketStorageSize * bucketCount + partialBucketCount * 4;
+        const partialBucketLengths = new Uint32Array(buffer.slice(sectionBase, sectionBase + partialBucketCount * 4));
+        const buckets = new Float32Array(buffer.slice(sectionBase + partialBucketCount * 4, sectionBase + bucketsSize));
+        const data = new DataView(buffer, sectionBase + bucketsSize, maxSplatCount * splatSize);
+        const positionScale = bucketBlockSize / 2 / scaleRange;
+
+        let bucket = -1;
+        let bucketEnd = 0;
+        let partial = 0;
+
+        for (let i = 0; i < splatCount; i++, index++) {
+            const o = i * splatSize;
+
+            if (compressionLevel === 0) {
+                props.x[index] = data.getFloat32(o, true);
+                props.y[index] = data.getFloat32(o + 4, true);
+                props.z[index] = data.getFloat32(o + 8, true);
+                props.scale_0[index] = Math.log(data.getFloat32(o + 12, true));
+                props.scale_1[index] = Math.log(data.getFloat32(o + 16, true));
+                props.scale_2[index] = Math.log(data.getFloat32(o + 20, true));
+                setRotation(props, index, data.getFloat32(o + 24, true), data.getFloat32(o + 28, true), data.getFloat32(o + 32, true), data.getFloat32(o + 36, true));
+            } else {
+                // full buckets come first, then the partially filled ones
+                while (i >= bucketEnd) {
+                    bucket++;
+                    bucketEnd += bucket < fullBucketCount ? bucketSize : partialBucketLengths[partial++];
+                }
+                props.x[index] = (data.getUint16(o, true) - scaleRange) * positionScale + buckets[bucket * 3];
+                props.y[index] = (data.getUint16(o + 2, true) - scaleRange) * positionScale + buckets[bucket * 3 + 1];
+                props.z[index] = (data.getUint16(o + 4, true) - scaleRange) * positionScale + buckets[bucket * 3 + 2];
+                props.scale_0[index] = Math.log(fromHalf(data.getUint16(o + 6, true)));
+                props.scale_1[index] = Math.log(fromHalf(data.getUint16(o + 8, true)));
+                props.scale_2[index] = Math.log(fromHalf(data.getUint16(o + 10, true)));
+                setRotation(props, index, fromHalf(data.getUint16(o + 12, true)), fromHalf(data.getUint16(o + 14, true)), fromHalf(data.getUint16(o + 16, true)), fromHalf(data.getUint16(o + 18, true)));
+            }
+
+            const c = compressionLevel === 0 ? o + 40 : o + 20;
+            setColor(props, index, data.getUint8(c) / 255, data.getUint8(c + 1) / 255, data.getUint8(c + 2) / 255, data.getUint8(c + 3) / 255);
+        }
+
+        sectionBase += bucketsSize + maxSplatCount * splatSize;
+    }
+
+    return createGSplatData(count, props);
+};
+
+// .spz (niantic): a gzipped 16 byte header followed by each attribute for all splats:
+// 24 bit fixed point positions (float16 in version 1), uint8 alpha, color, log scale,
+// rotation (xyz, or smallest three in version 3) and sh. spz uses the y up, z back
+// convention, so y and z are flipped into the ply convention.
+const SPZ_MAGIC = 0x5053474e;
+const SPZ_COLOR_SCALE = 0.15;
+
+// sign of each sh coefficient after flipping y and z
+const SH_FLIP_YZ = [-1, -1, 1, -1, 1, 1, -1, 1, -1, 1, -1, -1, 1, -1, 1];
+
+const gunzip = (buffer) => {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+};
+
+const parseSpz = async (compressed) => {
+    const buffer = await gunzip(compressed);
+    const view = new DataView(buffer);
+    const u8 = new Uint8Array(buffer);
+
+    if (view.getUint32(0, true) !== SPZ_MAGIC) {
+        throw new Error('not an spz file');
+    }
+    const version = view.getUint32(4, true);
+    if (version < 1 || version > 3) {
+        throw new Error(`unsupported spz version ${version}`);
+    }
+
+    const count = view.getUint32(8, true);
+    const shDegree = view.getUint8(12);
+    const fractionalBits = view.getUint8(13);
+    const shCoeffs = SH_COEFFS[shDegree];
+    const props = createProps(count, shDegree);
+
+    const positionSize = version === 1 ? 6 : 9;
+    const rotationSize = version === 3 ? 4 : 3;
+    const positions = 16;
+    const alphas = positions + count * positionSize;
+    const colors = alphas + count;
+    const scales = colors + count * 3;
+    const rotations = scales + count * 3;
+    const sh = rotations + count * rotationSize;
+
+    const fixedScale = 1 / (1 << fractionalBits);
+    const readPosition = (o) => {
+        if (version === 1) {
+            return fromHalf(view.getUint16(o, true));
+        }
+        const v = u8[o] | (u8[o + 1] << 8) | (u8[o + 2] << 16);
+        return (v & 0x800000 ? v | ~0xffffff : v) * fixedScale;
+    };
+
+    const q = [0, 0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        const p = positions + i * positionSize;
+        const step = positionSize / 3;
+        props.x[i] = readPosition(p);
+        props.y[i] = -readPosition(p + step);
+        props.z[i] = -readPosition(p + step * 2);
+
+        const s = scales + i * 3;
+        props.scale_0[i] = u8[s] / 16 - 10;
+        props.scale_1[i] = u8[s + 1] / 16 - 10;
+        props.scale_2[i] = u8[s + 2] / 16 - 10;
+
+        const c = colors + i * 3;
+        props.f_dc_0[i] = (u8[c] / 255 - 0.5) / SPZ_COLOR_SCALE;
+        props.f_dc_1[i] = (u8[c + 1] / 255 - 0.5) / SPZ_COLOR_SCALE;
+        props.f_dc_2[i] = (u8[c + 2] / 255 - 0.5) / SPZ_COLOR_SCALE;
+        props.opacity[i] = logit(u8[alphas + i] / 255);
+
+        // quaternion as x, y, z, w
+        const r = rotations + i * rotationSize;
+        if (version === 3) {
+            let comp = view.getUint32(r, true);
+            const largest = comp >>> 30;
+            let sum = 0;
+            for (let j = 3; j >= 0; j--) {
+                if (j !== largest) {
+                    const magnitude = comp & 0x1ff;
+                    const negative = (comp >>> 9) & 1;
+                    comp >>>= 10;
+                    q[j] = Math.SQRT1_2 * magnitude / 0x1ff * (negative ? -1 : 1);
+                    sum += q[j] * q[j];
+                }
+            }
+            q[largest] = Math.sqrt(Math.max(0, 1 - sum));
+        } else {
+            q[0] = u8[r] / 127.5 - 1;
+            q[1] = u8[r + 1] / 127.5 - 1;
+            q[2] = u8[r + 2] / 127.5 - 1;
+            q[3] = Math.sqrt(Math.max(0, 1 - q[0] * q[0] - q[1] * q[1] - q[2] * q[2]));
+        }
+        setRotation(props, i, q[3], q[0], -q[1], -q[2]);
+
+        // spz interleaves the channels per coefficient, ply stores them channel by channel
+        for (let j = 0; j < shCoeffs; j++) {
+            for (let k = 0; k < 3; k++) {
+                props[`f_rest_${k * shCoeffs + j}`][i] = (u8[sh + (i * shCoeffs + j) * 3 + k] - 128) / 128 * SH_FLIP_YZ[j];
+            }
+        }
+    }
+
+    return createGSplatData(count, props);
+};
+
+// registered formats. detect tests the first bytes of a file, extensions match the url
+// when a format has no signature. native formats are left to the engine's parser.
+const formats = [{
+    name: 'ply',
+    extensions: ['.ply'],
+    native: true,
+    detect: bytes => bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 && bytes[3] === 0x0a
+}, {
+    name: 'spz',
+    extensions: ['.spz'],
+    detect: bytes => bytes[0] === 0x1f && bytes[1] === 0x8b,
+    parse: parseSpz
+}, {
+    name: 'ksplat',
+    extensions: ['.ksplat'],
+    parse: parseKsplat
+}, {
+    name: 'splat',
+    extensions: ['.splat'],
+    parse: parseSplat
+}];
+
+// add a format: { name, extensions, detect (bytes), parse (buffer) } where parse resolves
+// to gsplat data. formats registered later take precedence.
+const registerSplatFormat = (format) => {
+    formats.unshift(format);
+};
+
+// the extension of a url, ignoring the .enc of encrypted files
+const urlExtension = (url) => {
+    const path = new URL(url, location.href).pathname.toLowerCase().replace(/\.enc$/, '');
+    return path.slice(path.lastIndexOf('.'));
+};
+
+// the format of a url by its extension
+const splatFormatFromUrl = (url) => {
+    const extension = urlExtension(url);
+    return formats.find(format => format.extensions?.includes(extension)) ?? null;
+};
+
+// the format of a file from its first bytes, falling back to the url extension
+const detectSplatFormat = (bytes, url) => {
+    return formats.find(format => format.detect?.(bytes)) ?? splatFormatFromUrl(url);
+};
+
+export { detectSplatFormat, registerSplatFormat, splatFormatFromUrl };
@@ -0,0 +1,302 @@
+import * as pc from 'playcanvas';
+
+import { LoadError } from './load-error.js';
+import { fetchSplat } from './splat-crypto.js';
+import { detectSplatFormat, splatFormatFromUrl } from './splat-formats.js';
+
+// apply a manifest splat transform: position [x, y, z], rotation as euler angles in
+// degrees [x, y, z] and scale as a single number or [x, y, z]
+const applyTransform = (entity, { position, rotation, scale }) => {
+    if (position) {
+        entity.setLocalPosition(position[0], position[1], position[2]);
+    }
+    if (rotation) {
+        entity.setLocalEulerAngles(rotation[0], rotation[1], rotation[2]);
+    }
+    if (typeof scale === 'number') {
+        entity.setLocalScale(scale, scale, scale);
+    } else if (scale) {
+        entity.setLocalScale(scale[0], scale[1], scale[2]);
+    }
+};
+
+// time in ms to wait for a refined level to be sorted before swapping it in anyway
+const SORT_TIMEOUT = 1000;
+
+// the detail levels of a manifest splat, coarsest first: its lods followed by the full
+// splat. lods are urls or { url, sha256 }. the filename of a splat, e.g. a local file
+// loaded from a blob url, stands in for its url when detecting the format.
+const splatLevels = (splat) => {
+    const lods = (splat.lods ?? []).map(lod => (typeof lod === 'string' ? { url: lod } : lod));
+    return [...lods, { url: splat.url, sha256: splat.sha256, filename: splat.filename }];
+};
+
+// load the splats of a scene, each as its own gsplat asset and entity.
+// fires 'progress' (received, length) aggregated over all assets, 'load' (entities) once
+// every splat is in the scene and 'error' (err, asset, url) for each failed asset.
+// splats with lods load progressively: 'load' fires once the coarsest level of every
+// splat is in, then each finer level replaces the previous one as it arrives, firing
+// 'refine' (entities, index). a refined level is sorted before it is swapped in, so the
+// swap doesn't flash unsorted splats.
+// splats with a sha256 hash, and all splats when given a key (encrypted scenes), are
+// fetched here to be verified and decrypted before the plaintext is handed to the parser
+// through a blob url, revoked once parsed. files in other formats than ply (see
+// splat-formats.js) are fetched here too and converted before the asset is created.
+// loading another set of splats replaces the current ones, freeing their gpu resources,
+// and fires 'unload' once they are gone.
+class SplatLoader extends pc.EventHandler {
+    constructor(app, camera) {
+        super();
+        this.app = app;
+        this.camera = camera;
+        this.splats = [];
+        this.levels = [];
+        this.assets = [];
+        this.assetLevels = [];
+        this.entities = [];
+        this.progress = [];
+        this.failed = new Set();
+        this.key = null;
+        this.pending = 0;
+        this.loaded = false;
+
+        // incremented on unload, so loads still in flight can tell they were discarded
+        this.generation = 0;
+    }
+
+    load(splats, key = null) {
+        this.unload();
+        this.splats = splats;
+        this.levels = splats.map(splatLevels);
+        this.key = key;
+        this.progress = splats.map(() => ({ received: 0, length: 0 }));
+        this.pending = splats.length;
+
+        splats.forEach((splat, i) => this.loadLevel(i, 0));
+    }
+
+    // remove the splats from the scene, destroying their entities and unloading their
+    // assets, including levels which are still loading
+    unload() {
+        const { app } = this;
+        const unloading = this.assets.length > 0;
+        const assets = new Set(this.assets);
+        this.entities.forEach((entity) => {
+            if (entity) {
+                assets.add(app.assets.get(entity.gsplat.asset));
+                entity.destroy();
+            }
+        });
+        assets.forEach((asset) => {
+            if (asset) {
+                app.assets.remove(asset);
+                asset.unload();
+            }
+        });
+
+        this.generation++;
+        this.splats = [];
+        this.levels = [];
+        this.assets = [];
+        this.assetLevels = [];
+        this.entities = [];
+        this.progress = [];
+        this.failed.clear();
+        this.pending = 0;
+        this.loaded = false;
+        app.renderNextFrame = true;
+
+        if (unloading) {
+            this.fire('unload');
+        }
+    }
+
+    // load the splats which failed again
+    retry() {
+        const failed = [...this.failed];
+        this.failed.clear();
+        failed.forEach(i => this.loadAsset(i));
+    }
+
+    setProgress(i, received, length) {
+        const { progress } = this;
+        progress[i].received = received;
+        progress[i].length = length;
+        this.fire('progress', progress.reduce((sum, p) => sum + p.received, 0), progress.reduce((sum, p) => sum + p.length, 0));
+    }
+
+    // create the asset for a detail level of splat i and start loading it
+    loadLevel(i, level) {
+        const { app, generation } = this;
+        const { url } = this.levels[i][level];
+        const asset = new pc.Asset(`gsplat-${i}-${level}`, 'gsplat', { url });
+        const discarded = () => generation !== this.generation;
+
+        asset.on('progress', (received, length) => {
+            if (!discarded()) {
+                this.setProgress(i, received, length);
+            }
+        });
+
+        asset.once('load', () => {
+            if (discarded()) {
+                asset.unload();
+            } else if (level === 0) {
+                this.addEntity(i, asset);
+            } else {
+                this.refine(i, asset, level);
+            }
+        });
+
+        // the coarsest level can fail again after a retry. failed refinements leave the
+        // coarser level in place
+        asset.on('error', (err) => {
+            if (discarded()) {
+                return;
+            }
+            if (level === 0) {
+                this.failed.add(i);
+                this.fire('error', err, asset, url);
+            } else {
+                console.warn(`failed to load splat detail level ${url}:`, err);
+                app.assets.remove(asset);
+            }
+        });
+
+        this.assets[i] = asset;
+        this.assetLevels[i] = level;
+        app.assets.add(asset);
+        this.loadAsset(i);
+    }
+
+    loadAsset(i) {
+        const { app, key } = this;
+        const asset = this.assets[i];
+        const { url, sha256, filename = url } = this.levels[i][this.assetLevels[i]];
+
+        // the registry marks assets which failed as loaded, so a retry has to force the load
+        const options = { force: true };
+
+        if (!key && !sha256 && splatFormatFromUrl(filename)?.native) {
+            app.assets.load(asset, options);
+            return;
+        }
+
+        fetchSplat(url, { key, sha256 }, (received, length) => {
+            asset.fire('progress', received, length);
+        }).then(async (blob) => {
+            const format = detectSplatFormat(new Uint8Array(await blob.slice(0, 16).arrayBuffer()), filename);
+            if (!format) {
+                throw new LoadError('parse', `${filename} is not a supported splat format`, { url });
+            }
+
+            if (format.native) {
+                const blobUrl = URL.createObjectURL(blob);
+                const revoke = () => URL.revokeObjectURL(blobUrl);
+                asset.once('load', revoke);
+                asset.once('error', revoke);
+                asset.file = { url: blobUrl, filename: filename.split('/').pop() };
+                app.assets.load(asset, options);
+                return;
+            }
+
+            let splatData;
+            try {
+                splatData = await format.parse(await blob.arrayBuffer());
+            } catch (err) {
+                throw new LoadError('parse', `${filename} is not a valid ${format.name} file (${err.message})`, { url });
+            }
+            this.setResource(asset, new pc.GSplatResource(app.graphicsDevice, splatData, []));
+        }).catch((err) => {
+            asset.fire('error', err, asset);
+        });
+    }
+
+    // complete an asset with a resource created here, firing the events the asset
+    // registry fires for assets it loads
+    setResource(asset, resource) {
+        const { assets } = this.app;
+        asset.resource = resource;
+        asset.loaded = true;
+        assets.fire('load', asset);
+        assets.fire(`load:${asset.id}`, asset);
+        asset.fire('load', asset);
+    }
+
+    createEntity(i, asset) {
+        const entity = new pc.Entity(`splat-${i}`);
+        entity.addComponent('gsplat', { asset });
+        applyTransform(entity, this.splats[i]);
+        return entity;
+    }
+
+    // add the coarsest level of splat i. once every splat is in, the finer levels follow
+    addEntity(i, asset) {
+        const entity = this.createEntity(i, asset);
+        this.app.root.addChild(entity);
+        this.entities[i] = entity;
+
+        if (--this.pending === 0) {
+            this.loaded = true;
+            this.fire('load', this.entities);
+
+            this.levels.forEach((levels, j) => {
+                if (levels.length > 1) {
+                    this.loadLevel(j, 1);
+                }
+            });
+        }
+    }
+
+    // swap a finer level of splat i in for the current one once it is sorted
+    refine(i, asset, level) {
+        const { app, camera, generation } = this;
+        const entity = this.createEntity(i, asset);
+        entity.enabled = false;
+        app.root.addChild(entity);
+
+        let swapped = false;
+        const swap = () => {
+            if (swapped) return;
+            swapped = true;
+
+            // the splats were unloaded while this level was sorting
+            if (generation !== this.generation) {
+                entity.destroy();
+                return;
+            }
+
+            const prev = this.entities[i];
+            const prevAsset = app.assets.get(prev.gsplat.asset);
+
+            entity.enabled = true;
+            this.entities[i] = entity;
+            prev.destroy();
+            app.assets.remove(prevAsset);
+            prevAsset.unload();
+
+            app.renderNextFrame = true;
+            this.fire('refine', this.entities, i);
+
+            if (level < this.levels[i].length - 1) {
+                this.loadLevel(i, level + 1);
+            }
+        };
+
+        // disabled entities aren't rendered, so request the first sort directly
+        const instance = entity.gsplat.instance;
+        if (!instance?.sorter || !camera) {
+            swap();
+            return;
+        }
+
+        const timeout = setTimeout(swap, SORT_TIMEOUT);
+        instance.sorter.once('updated', () => {
+            clearTimeout(timeout);
+            swap();
+        });
+        instance.sort(camera);
+    }
+}
+
+export { SplatLoader };
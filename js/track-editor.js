@@ -0,0 +1,278 @@
+import * as pc from 'playcanvas';
+
+import { WRAPPING_MODES, createCameraAnim, trackTimeRange } from './anim-track.js';
+import { validateTrack } from './settings.js';
+
+// default time between captured keyframes in seconds
+const KEYFRAME_INTERVAL = 2;
+
+// number of segments used to draw the track path
+const PATH_SEGMENTS = 200;
+
+const PATH_COLOR = new pc.Color(1, 0.4, 0);
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// whether a key event comes from a field being typed into
+const isTextTarget = event => ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+
+// the camera target: the orbit focus point, or a point ahead of the camera when flying
+const getCameraTarget = (camera, result) => {
+    const controls = camera.script.cameraControls;
+    const position = camera.getPosition();
+    const focus = controls.focusPoint;
+    if (focus.distance(position) > 1e-3) {
+        return result.copy(focus);
+    }
+    return result.copy(camera.forward).mulScalar(controls.sceneSize * 0.1).add(position);
+};
+
+// in-viewer authoring of camera animation tracks. keyframes capture the current camera
+// position and target; they can be reordered, retimed, previewed and exported as an
+// animTracks entry for settings.json.
+class TrackEditor {
+    constructor(app, camera, frameScene) {
+        this.app = app;
+        this.camera = camera;
+        this.frameScene = frameScene;
+        this.keyframes = [];
+        this.path = null;
+
+        const dom = ['trackEditor', 'trackName', 'trackDuration', 'trackLoopMode', 'trackKeyframes', 'trackCapture', 'trackPreview', 'trackExport', 'trackClose'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+
+        dom.trackCapture.addEventListener('click', () => this.capture());
+        dom.trackPreview.addEventListener('click', () => this.preview());
+        dom.trackExport.addEventListener('click', () => this.export());
+        dom.trackClose.addEventListener('click', () => this.close());
+        dom.trackDuration.addEventListener('change', () => this.updatePath());
+        dom.trackLoopMode.addEventListener('change', () => this.updatePath());
+
+        // keep typing in the editor fields from reaching the camera controls' window key
+        // listener, which would fly the camera between captures. keys on the editor buttons
+        // still fly the camera and capture, and escape still closes panels
+        dom.trackEditor.addEventListener('keydown', (event) => {
+            if (event.key !== 'Escape' && isTextTarget(event)) {
+                event.stopPropagation();
+            }
+        });
+
+        this.onKeyDown = (event) => {
+            if (event.key === 'k' && !event.ctrlKey && !event.altKey && !event.metaKey && !isTextTarget(event)) {
+                this.capture();
+            }
+        };
+
+        // draw the track path into every rendered frame while the editor is open
+        this.onPrerender = () => {
+            if (this.path) {
+                app.drawLineArrays(this.path, PATH_COLOR, false);
+            }
+        };
+    }
+
+    get isOpen() {
+        return !this.dom.trackEditor.classList.contains('hidden');
+    }
+
+    open() {
+        this.dom.trackEditor.classList.remove('hidden');
+        window.addEventListener('keydown', this.onKeyDown);
+        this.app.on('prerender', this.onPrerender);
+        this.app.renderNextFrame = true;
+    }
+
+    close() {
+        this.dom.trackEditor.classList.add('hidden');
+        window.removeEventListener('keydown', this.onKeyDown);
+        this.app.off('prerender', this.onPrerender);
+        this.app.renderNextFrame = true;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // add a keyframe holding the current camera position and target
+    capture() {
+        const { keyframes, dom } = this;
+        const position = this.camera.getPosition();
+        const target = getCameraTarget(this.camera, new pc.Vec3());
+        const time = keyframes.length > 0 ? keyframes[keyframes.length - 1].time + KEYFRAME_INTERVAL : 0;
+
+        keyframes.push({
+            time,
+            hold: 0,
+            position: [position.x, position.y, position.z].map(round),
+            target: [target.x, target.y, target.z].map(round)
+        });
+
+        // grow the duration to cover the new keyframe, plus the return leg for wrapping tracks
+        const wrapping = WRAPPING_MODES.includes(dom.trackLoopMode.value);
+        const minDuration = time + (wrapping ? KEYFRAME_INTERVAL : 0);
+        dom.trackDuration.value = Math.max(parseFloat(dom.trackDuration.value) || 0, minDuration);
+
+        this.refresh();
+    }
+
+    remove(index) {
+        this.keyframes.splice(index, 1);
+        this.refresh();
+    }
+
+    // swap the camera poses of two neighbouring keyframes, leaving the times in place
+    move(index, delta) {
+        const { keyframes } = this;
+        const other = index + delta;
+        if (other < 0 || other >= keyframes.length) return;
+
+        const a = keyframes[index];
+        const b = keyframes[other];
+        [a.position, b.position] = [b.position, a.position];
+        [a.target, b.target] = [b.target, a.target];
+        this.refresh();
+    }
+
+    // pause the camera at a keyframe for the given number of seconds
+    setHold(index, hold) {
+        this.keyframes[index].hold = Math.max(0, hold);
+        this.refresh();
+    }
+
+    retime(index, time) {
+        this.keyframes[index].time = time;
+        this.keyframes.sort((a, b) => a.time - b.time);
+        this.refresh();
+    }
+
+    // jump the camera to a keyframe
+    goto(index) {
+        this.frameScene.goTo(this.keyframes[index]);
+    }
+
+    toTrack() {
+        const { keyframes, dom } = this;
+        const holds = keyframes.some(k => k.hold > 0) ? { holds: keyframes.map(k => k.hold) } : {};
+        return {
+            name: dom.trackName.value || 'track',
+            duration: parseFloat(dom.trackDuration.value),
+            frameRate: 30,
+            target: 'camera',
+            loopMode: dom.trackLoopMode.value,
+            interpolation: 'spline',
+            keyframes: {
+                times: keyframes.map(k => k.time),
+                ...holds,
+                values: {
+                    position: keyframes.flatMap(k => k.position),
+                    target: keyframes.flatMap(k => k.target)
+                }
+            }
+        };
+    }
+
+    validate() {
+        const errors = [];
+        validateTrack(this.toTrack(), 'track', errors);
+        return errors;
+    }
+
+    preview() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            window.alert(errors.join('\n'));
+            return;
+        }
+        this.frameScene.playTrack(this.toTrack());
+    }
+
+    // download the track as a settings compatible animTracks document
+    export() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            window.alert(errors.join('\n'));
+            return;
+        }
+
+        const track = this.toTrack();
+        const blob = new Blob([JSON.stringify({ animTracks: [track] }, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${track.name}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // sample the track spline into line segments for drawing
+    updatePath() {
+        if (this.validate().length > 0) {
+            this.path = null;
+        } else {
+            const { spline, track, result } = createCameraAnim(this.toTrack());
+            const end = trackTimeRange(track);
+            const path = [];
+            for (let i = 0; i <= PATH_SEGMENTS; i++) {
+                spline.evaluate(end * i / PATH_SEGMENTS, result);
+                if (i > 0) {
+                    path.push(path[path.length - 3], path[path.length - 2], path[path.length - 1]);
+                }
+                path.push(result[0], result[1], result[2]);
+            }
+            this.path = path;
+        }
+        this.app.renderNextFrame = true;
+    }
+
+    refresh() {
+        const { dom } = this;
+
+        dom.trackKeyframes.replaceChildren(...this.keyframes.map((keyframe, index) => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('button');
+            label.className = 'keyframeLabel';
+            label.textContent = `#${index + 1}`;
+            label.title = 'Go to keyframe';
+            label.addEventListener('click', () => this.goto(index));
+
+            const time = document.createElement('input');
+            time.type = 'number';
+            time.min = '0';
+            time.step = '0.1';
+            time.value = keyframe.time;
+            time.title = 'Time (s)';
+            time.addEventListener('change', () => this.retime(index, parseFloat(time.value) || 0));
+
+            const hold = document.createElement('input');
+            hold.type = 'number';
+            hold.min = '0';
+            hold.step = '0.1';
+            hold.value = keyframe.hold;
+            hold.title = 'Hold (s)';
+            hold.addEventListener('change', () => this.setHold(index, parseFloat(hold.value) || 0));
+
+            const buttons = [['↑', 'Move up', () => this.move(index, -1)], ['↓', 'Move down', () => this.move(index, 1)], ['✕', 'Remove', () => this.remove(index)]].map(([text, title, onClick]) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                return button;
+            });
+
+            item.append(label, time, hold, ...buttons);
+            return item;
+        }));
+
+        this.updatePath();
+    }
+}
+
+export { TrackEditor, getCameraTarget };
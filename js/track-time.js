@@ -0,0 +1,104 @@
+// track timing: maps the playback time onto the spline time by loop mode, keyframe
+// holds and easing. kept apart from the spline so it can be tested under node.
+
+// loop modes whose spline wraps from the last keyframe back to the first
+const WRAPPING_MODES = ['repeat', 'reverse'];
+
+// loop modes which play the track once and then stop
+const ONCE_MODES = ['none', 'once-then-orbit'];
+
+// easing curves mapping normalized time to a playback rate in 0..1
+const EASING_CURVES = {
+    linear: t => t,
+    sqrt: t => Math.sqrt(t),
+    quadratic: t => t * t,
+    smoothstep: t => t * t * (3 - 2 * t)
+};
+
+const DEFAULT_EASING = { in: 5, out: 0, curve: 'sqrt' };
+
+// lowest playback rate while easing out, so the track still reaches its end
+const MIN_EASE_RATE = 0.05;
+
+// map the playback time (seconds since the track started) onto the spline time:
+//  none, once-then-orbit - play forwards once and hold the end
+//  repeat - loop forwards, wrapping from the end back to the start
+//  pingpong - play forwards, then backwards, then forwards again
+//  reverse - loop backwards, wrapping from the start back to the end
+const mapTrackTime = (time, duration, loopMode) => {
+    const t = Math.max(0, time);
+
+    switch (loopMode) {
+        case 'repeat':
+            return t % duration;
+        case 'reverse':
+            return (duration - t % duration) % duration;
+        case 'pingpong': {
+            const cycle = t % (duration * 2);
+            return cycle > duration ? duration * 2 - cycle : cycle;
+        }
+        default:
+            return Math.min(t, duration);
+    }
+};
+
+// playback length of a track: its duration plus the keyframe hold times
+const trackDuration = (track) => {
+    const { holds = [] } = track.keyframes;
+    return track.duration + holds.reduce((sum, hold) => sum + hold, 0);
+};
+
+// map a time on the playback timeline, which includes the keyframe holds, onto the
+// spline time. the spline time stops at each keyframe for its hold time.
+const applyHolds = (time, times, holds = []) => {
+    let offset = 0;
+    for (let i = 0; i < times.length; i++) {
+        const hold = holds[i] ?? 0;
+        if (time < times[i] + offset) {
+            break;
+        }
+        if (time < times[i] + offset + hold) {
+            return times[i];
+        }
+        offset += hold;
+    }
+    return time - offset;
+};
+
+// spline time of a track played for the given time, honouring loop mode and holds
+const trackSplineTime = (track, time) => {
+    const { times, holds } = track.keyframes;
+    return applyHolds(mapTrackTime(time, trackDuration(track), track.loopMode), times, holds);
+};
+
+// playback rate multiplier: ramps up over the first easing.in seconds after playback
+// (re)starts and, for tracks which stop at the end, down over the last easing.out seconds
+const easeRate = (track, elapsed, time) => {
+    const { in: easeIn, out: easeOut, curve } = { ...DEFAULT_EASING, ...track.easing };
+    const ease = EASING_CURVES[curve];
+
+    let rate = 1;
+    if (elapsed < easeIn) {
+        rate = ease(elapsed / easeIn);
+    }
+    if (track.loopMode === 'none' && easeOut > 0) {
+        const remaining = trackDuration(track) - time;
+        if (remaining < easeOut) {
+            rate = Math.min(rate, Math.max(MIN_EASE_RATE, ease(Math.max(0, remaining) / easeOut)));
+        }
+    }
+    return rate;
+};
+
+// whether a track played for the given time has finished
+const isTrackFinished = (time, duration, loopMode) => {
+    return ONCE_MODES.includes(loopMode) && time >= duration;
+};
+
+// the spline time range covered by a track, e.g. for drawing its path
+const trackTimeRange = (track) => {
+    const { times } = track.keyframes;
+    return WRAPPING_MODES.includes(track.loopMode) ? track.duration : times[times.length - 1];
+};
+
+export { EASING_CURVES, WRAPPING_MODES, applyHolds, easeRate, isTrackFinished, mapTrackTime, trackDuration, trackSplineTime, trackTimeRange };
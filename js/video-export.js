@@ -0,0 +1,353 @@
+import { createCameraAnim, easeRate, isTrackFinished, trackDuration, trackSplineTime } from './anim-track.js';
+import { download, encodeImage } from './capture.js';
+import { muxWebm } from './webm-muxer.js';
+
+// webm container formats tried in order of preference
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const VIDEO_BITRATE = 16000000;
+
+// webcodecs codecs tried in order of preference, and the key frame interval in frames
+const ENCODER_CODECS = [{ codec: 'vp09.00.10.08', container: 'vp9' }, { codec: 'vp8', container: 'vp8' }];
+const KEY_FRAME_INTERVAL = 60;
+
+// max frames queued in the encoder before waiting for it
+const ENCODE_QUEUE = 4;
+
+// the sort worker ignores camera moves smaller than this
+const SORT_EPSILON = 0.001;
+
+// time in ms to wait for a sort before rendering the frame anyway
+const SORT_TIMEOUT = 1000;
+
+const webmType = typeof MediaRecorder === 'undefined' ? null : WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+const hasVideoEncoder = typeof VideoEncoder !== 'undefined';
+
+const sleep = ms => new Promise((resolve) => {
+    setTimeout(resolve, ms);
+});
+
+const movedApprox = (a, b) => {
+    return Math.abs(a.x - b.x) >= SORT_EPSILON || Math.abs(a.y - b.y) >= SORT_EPSILON || Math.abs(a.z - b.z) >= SORT_EPSILON;
+};
+
+// render the view and wait for the splat sorters which were handed a new camera to
+// deliver their new order. the sort is requested during render and completes in a worker.
+const renderSorted = async (app) => {
+    const instances = app.root.findComponents('gsplat').map(gsplat => gsplat.instance).filter(instance => instance?.sorter);
+    const prev = instances.map(instance => [instance.lastCameraPosition.clone(), instance.lastCameraDirection.clone()]);
+
+    app.render();
+
+    await Promise.all(instances.filter((instance, i) => {
+        return movedApprox(instance.lastCameraPosition, prev[i][0]) || movedApprox(instance.lastCameraDirection, prev[i][1]);
+    }).map(instance => new Promise((resolve) => {
+        const timeout = setTimeout(resolve, SORT_TIMEOUT);
+        instance.sorter.once('updated', () => {
+            clearTimeout(timeout);
+            resolve();
+        });
+    })));
+};
+
+// the track time of each exported frame. frames step at a fixed timestep, without the
+// ease-in which playback applies when it starts; the authored ease-out still applies.
+// tracks which stop are exported to their end, looping tracks for one cycle.
+const frameTimes = (track, fps) => {
+    const duration = trackDuration(track);
+    const times = [];
+
+    if (track.loopMode === 'none' || track.loopMode === 'once-then-orbit') {
+        let time = 0;
+        while (!isTrackFinished(time, duration, track.loopMode)) {
+            times.push(time);
+            time += easeRate(track, Infinity, time) / fps;
+        }
+        times.push(duration);
+    } else {
+        const length = track.loopMode === 'pingpong' ? duration * 2 : duration;
+        for (let i = 0; i < length * fps; i++) {
+            times.push(i / fps);
+        }
+    }
+
+    return times;
+};
+
+// writes numbered png files into a user picked directory, or downloads them one by one
+// where the file system access api isn't available
+const createFrameWriter = async () => {
+    if (window.showDirectoryPicker) {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return async (blob, filename) => {
+            const file = await directory.getFileHandle(filename, { create: true });
+            const writable = await file.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        };
+    }
+    return download;
+};
+
+// encodes frames as webm with webcodecs. each frame is stamped with its index over the
+// frame rate, so the video timing doesn't depend on how long frames take to render and is
+// the same on every export.
+class WebmEncoder {
+    // resolves to an encoder for the first supported codec, or null
+    static async create(width, height, fps) {
+        for (const { codec, container } of ENCODER_CODECS) {
+            const config = { codec, width, height, bitrate: VIDEO_BITRATE, framerate: fps };
+            const { supported } = await VideoEncoder.isConfigSupported(config).catch(() => ({ supported: false }));
+            if (supported) {
+                return new WebmEncoder(config, container);
+            }
+        }
+        return null;
+    }
+
+    constructor(config, container) {
+        this.config = config;
+        this.container = container;
+        this.chunks = [];
+        this.frame = 0;
+        this.error = null;
+
+        this.encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                this.chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+            },
+            error: (err) => {
+                this.error = err;
+            }
+        });
+        this.encoder.configure(config);
+    }
+
+    async addFrame(image) {
+        const { encoder, config } = this;
+        if (this.error) throw this.error;
+
+        const frame = new VideoFrame(image.data, {
+            format: 'RGBA',
+            codedWidth: image.width,
+            codedHeight: image.height,
+            timestamp: Math.round(this.frame * 1e6 / config.framerate),
+            duration: Math.round(1e6 / config.framerate)
+        });
+        encoder.encode(frame, { keyFrame: this.frame % KEY_FRAME_INTERVAL === 0 });
+        frame.close();
+        this.frame++;
+
+        while (encoder.encodeQueueSize > ENCODE_QUEUE) {
+            await new Promise((resolve) => {
+                encoder.addEventListener('dequeue', resolve, { once: true });
+            });
+        }
+    }
+
+    async finish() {
+        const { encoder, config } = this;
+        await encoder.flush();
+        encoder.close();
+        if (this.error) throw this.error;
+
+        return muxWebm({
+            width: config.width,
+            height: config.height,
+            codec: this.container,
+            duration: this.frame / config.framerate,
+            chunks: this.chunks
+        });
+    }
+}
+
+// fallback where webcodecs isn't available: records frames drawn into a canvas as webm.
+// the recorder is paused while each frame renders and resumed for one frame interval,
+// so the video plays at about the export frame rate, but the frame timing follows the
+// wall clock and varies slightly between exports.
+class WebmRecorder {
+    constructor(width, height, fps) {
+        this.fps = fps;
+        this.chunks = [];
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.context = this.canvas.getContext('2d');
+
+        const stream = this.canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+        this.recorder = new MediaRecorder(stream, { mimeType: webmType, videoBitsPerSecond: VIDEO_BITRATE });
+        this.recorder.addEventListener('dataavailable', (event) => {
+            this.chunks.push(event.data);
+        });
+        this.recorder.start();
+        this.recorder.pause();
+    }
+
+    async addFrame(image) {
+        this.context.putImageData(image, 0, 0);
+        this.recorder.resume();
+        this.track.requestFrame();
+        await sleep(1000 / this.fps);
+        this.recorder.pause();
+    }
+
+    finish() {
+        return new Promise((resolve) => {
+            this.recorder.addEventListener('stop', () => {
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            }, { once: true });
+            this.recorder.stop();
+        });
+    }
+}
+
+// offline export of an animation track as a webm video or a numbered png sequence (e.g.
+// for encoding to mp4 with ffmpeg). the track is stepped at a fixed timestep instead of
+// the frame time, and each frame is captured only once the splats are sorted for it.
+// the camera controls are suspended during the export and the view restored afterwards.
+class VideoExport {
+    constructor(app, camera, frameScene, capture, animTracks, name) {
+        this.app = app;
+        this.camera = camera;
+        this.frameScene = frameScene;
+        this.capture = capture;
+        this.exporting = false;
+        this.cancelled = false;
+
+        const dom = ['videoExport', 'videoTrack', 'videoFps', 'videoFormat', 'videoSave', 'videoProgress'].reduce((acc, id) => {
+            acc[id] = document.getElementById(id);
+            return acc;
+        }, {});
+        this.dom = dom;
+
+        if (!hasVideoEncoder && !webmType) {
+            dom.videoFormat.querySelector('option[value="webm"]').remove();
+        }
+
+        dom.videoSave.addEventListener('click', () => {
+            if (this.exporting) {
+                this.cancelled = true;
+            } else {
+                const track = this.animTracks.find(track => track.name === dom.videoTrack.value);
+                this.save(track, {
+                    ...capture.options,
+                    fps: parseFloat(dom.videoFps.value),
+                    format: dom.videoFormat.value
+                });
+            }
+        });
+
+        frameScene.on('track', (track) => {
+            dom.videoTrack.value = track.name;
+        });
+
+        this.setTracks(animTracks, name);
+    }
+
+    // list the tracks of the current scene, named after it. the export section is hidden
+    // for scenes without tracks
+    setTracks(animTracks, name) {
+        const { dom } = this;
+        this.animTracks = animTracks;
+        this.name = name;
+
+        dom.videoTrack.replaceChildren(...animTracks.map(({ name }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            return option;
+        }));
+        dom.videoTrack.parentElement.classList[animTracks.length > 1 ? 'remove' : 'add']('hidden');
+        dom.videoExport.classList[animTracks.length > 0 ? 'remove' : 'add']('hidden');
+    }
+
+    progress(text) {
+        this.dom.videoProgress.textContent = text;
+    }
+
+    // export a track with { fps, format: 'webm' | 'png', scale, transparent }
+    async save(track, { fps = 30, format = 'webm', scale = 1, transparent = false } = {}) {
+        if (this.exporting) return;
+
+        const { app, camera, frameScene, capture, dom } = this;
+        const { cameraControls } = camera.script;
+        const cameraAnim = createCameraAnim(track);
+        const times = frameTimes(track, fps);
+        const digits = Math.max(4, String(times.length).length);
+        const filename = `${this.name}-${track.name}`;
+
+        // take the camera over, remembering the view to restore
+        frameScene.cancelAnimation();
+        const position = camera.getPosition();
+        const target = cameraControls.focusPoint;
+        const view = {
+            position: [position.x, position.y, position.z],
+            target: [target.x, target.y, target.z],
+            fov: camera.camera.fov
+        };
+        if (!cameraAnim.channels.includes('fov')) {
+            camera.camera.fov = frameScene.fov;
+        }
+        cameraControls.enabled = false;
+
+        this.exporting = true;
+        this.cancelled = false;
+        dom.videoSave.textContent = 'Cancel';
+
+        let recorder = null;
+        try {
+            const writeFrame = format === 'png' ? await createFrameWriter() : null;
+
+            for (let i = 0; i < times.length && !this.cancelled; i++) {
+                this.progress(`${i + 1} / ${times.length}`);
+
+                cameraAnim.time = times[i];
+                cameraAnim.spline.evaluate(trackSplineTime(track, cameraAnim.time), cameraAnim.result);
+                frameScene.applyPose(cameraAnim);
+
+                await renderSorted(app);
+                const image = await capture.render({ scale, transparent: transparent && format === 'png' });
+
+                if (writeFrame) {
+                    await writeFrame(await encodeImage(image, 'png'), `${filename}-${String(i + 1).padStart(digits, '0')}.png`);
+                } else {
+                    if (!recorder) {
+                        recorder = hasVideoEncoder ? await WebmEncoder.create(image.width, image.height, fps) : null;
+                        if (!recorder && !webmType) {
+                            window.alert(`This browser can't encode WebM video at ${image.width}x${image.height}, export a PNG sequence instead.`);
+                            break;
+                        }
+                        recorder ??= new WebmRecorder(image.width, image.height, fps);
+                    }
+                    await recorder.addFrame(image);
+                }
+            }
+
+            if (recorder) {
+                const blob = await recorder.finish();
+                if (!this.cancelled) {
+                    download(blob, `${filename}.webm`);
+                }
+            }
+        } catch (err) {
+            // the directory picker rejects when dismissed
+            if (err.name !== 'AbortError') {
+                console.error('video export failed:', err);
+            }
+        } finally {
+            this.exporting = false;
+            dom.videoSave.textContent = 'Export';
+            this.progress('');
+
+            cameraControls.enabled = true;
+            frameScene.goTo(view, false);
+            app.renderNextFrame = true;
+        }
+    }
+}
+
+export { VideoExport };
@@ -0,0 +1,165 @@
+// minimal webm writer for a single video track of encoded chunks, e.g. from a webcodecs
+// VideoEncoder. block times come from the chunk timestamps, rounded to the millisecond
+// time base, and a cue per key frame cluster lets players seek.
+
+// timestamps are stored in milliseconds
+const TIMECODE_SCALE = 1000000;
+
+// block timecodes are int16 offsets from their cluster
+const MAX_CLUSTER_SPAN = 32767;
+
+const CODEC_IDS = { vp8: 'V_VP8', vp9: 'V_VP9' };
+
+// ebml variable length size
+const encodeSize = (size) => {
+    let length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) {
+        length++;
+    }
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+};
+
+// big endian unsigned integer of at least length bytes
+const encodeUint = (value, length = 1) => {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0 || bytes.length < length);
+    return new Uint8Array(bytes);
+};
+
+const encodeFloat = (value) => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+};
+
+const encodeString = text => new TextEncoder().encode(text);
+
+const concat = (parts) => {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+};
+
+// an element of the id (as its bytes) with the given content: bytes or child elements
+const element = (id, content) => {
+    const data = Array.isArray(content) ? concat(content) : content;
+    return concat([new Uint8Array(id), encodeSize(data.length), data]);
+};
+
+// a simple block of track 1 at time relative to its cluster
+const simpleBlock = (chunk, time) => {
+    const header = new Uint8Array(4);
+    header[0] = 0x81;
+    new DataView(header.buffer).setInt16(1, time);
+    header[3] = chunk.key ? 0x80 : 0;
+    return element([0xA3], concat([header, chunk.data]));
+};
+
+const SEGMENT_IDS = {
+    info: [0x15, 0x49, 0xA9, 0x66],
+    tracks: [0x16, 0x54, 0xAE, 0x6B],
+    cues: [0x1C, 0x53, 0xBB, 0x6B]
+};
+
+// the seek head indexing the top level elements at the given segment positions. positions
+// are written at a fixed size, so the seek head's size doesn't depend on them.
+const seekHead = positions => element([0x11, 0x4D, 0x9B, 0x74], Object.entries(positions).map(([name, position]) => element([0x4D, 0xBB], [
+    element([0x53, 0xAB], new Uint8Array(SEGMENT_IDS[name])),
+    element([0x53, 0xAC], encodeUint(position, 8))
+])));
+
+// mux encoded chunks ({ data, timestamp in microseconds, key }) into a webm blob. a new
+// cluster starts at each key frame, and is listed in the cues.
+const muxWebm = ({ width, height, codec, duration, chunks }) => {
+    const header = element([0x1A, 0x45, 0xDF, 0xA3], [
+        element([0x42, 0x86], encodeUint(1)),
+        element([0x42, 0xF7], encodeUint(1)),
+        element([0x42, 0xF2], encodeUint(4)),
+        element([0x42, 0xF3], encodeUint(8)),
+        element([0x42, 0x82], encodeString('webm')),
+        element([0x42, 0x87], encodeUint(2)),
+        element([0x42, 0x85], encodeUint(2))
+    ]);
+
+    const info = element(SEGMENT_IDS.info, [
+        element([0x2A, 0xD7, 0xB1], encodeUint(TIMECODE_SCALE)),
+        element([0x4D, 0x80], encodeString('splat viewer')),
+        element([0x57, 0x41], encodeString('splat viewer')),
+        element([0x44, 0x89], encodeFloat(duration * 1000))
+    ]);
+
+    const tracks = element(SEGMENT_IDS.tracks, [
+        element([0xAE], [
+            element([0xD7], encodeUint(1)),
+            element([0x73, 0xC5], encodeUint(1)),
+            element([0x83], encodeUint(1)),
+            element([0x9C], encodeUint(0)),
+            element([0x86], encodeString(CODEC_IDS[codec])),
+            element([0xE0], [
+                element([0xB0], encodeUint(width)),
+                element([0xBA], encodeUint(height))
+            ])
+        ])
+    ]);
+
+    const clusters = [];
+    let cluster = null;
+    chunks.forEach((chunk) => {
+        const time = Math.round(chunk.timestamp / 1000);
+        if (!cluster || chunk.key || time - cluster.time > MAX_CLUSTER_SPAN) {
+            cluster = { time, key: chunk.key, blocks: [] };
+            clusters.push(cluster);
+        }
+        cluster.blocks.push(simpleBlock(chunk, time - cluster.time));
+    });
+
+    // lay the segment out as seek head, info, tracks, clusters and cues. positions are
+    // relative to the start of the segment's data
+    const seekHeadSize = seekHead({ info: 0, tracks: 0, cues: 0 }).length;
+    let position = seekHeadSize + info.length + tracks.length;
+    const cuePoints = [];
+    const clusterElements = clusters.map(({ time, key, blocks }) => {
+        if (key) {
+            cuePoints.push(element([0xBB], [
+                element([0xB3], encodeUint(time)),
+                element([0xB7], [
+                    element([0xF7], encodeUint(1)),
+                    element([0xF1], encodeUint(position))
+                ])
+            ]));
+        }
+        const clusterElement = element([0x1F, 0x43, 0xB6, 0x75], [
+            element([0xE7], encodeUint(time)),
+            ...blocks
+        ]);
+        position += clusterElement.length;
+        return clusterElement;
+    });
+    const cues = element(SEGMENT_IDS.cues, cuePoints);
+
+    const segment = element([0x18, 0x53, 0x80, 0x67], [
+        seekHead({ info: seekHeadSize, tracks: seekHeadSize + info.length, cues: position }),
+        info,
+        tracks,
+        ...clusterElements,
+        cues
+    ]);
+
+    return new Blob([header, segment], { type: 'video/webm' });
+};
+
+export { muxWebm };
@@ -13,6 +13,7 @@ import { Vec2, Vec3, Ray, Plane, Mat4, Quat, Script, math } from 'playcanvas';
 const tmpVa = new Vec2();
 const tmpV1 = new Vec3();
 const tmpV2 = new Vec3();
+const tmpV3 = new Vec3();
 const tmpM1 = new Mat4();
 const tmpQ1 = new Quat();
 const tmpR1 = new Ray();
@@ -23,6 +24,15 @@ const PASSIVE = { passive: false };
 const ZOOM_SCALE_SCENE_MULT = 10;
 const EPSILON = 0.0001;
 
+// pixels per line for wheel events reported in lines
+const WHEEL_LINE_HEIGHT = 16;
+
+// largest zoom step of a single wheel event, in pixels
+const WHEEL_DELTA_MAX = 100;
+
+// zoom pixels per unit of safari gesture scale
+const GESTURE_ZOOM_SCALE = 500;
+
 /**
  * Calculate the lerp rate.
  *
@@ -331,6 +341,30 @@ class CameraControls extends Script {
      */
     zoomScaleMin = 0;
 
+    /**
+     * @attribute
+     * @title Zoom To Cursor
+     * @description Zoom towards the point under the cursor (or pinch mid point) rather than the
+     * focus point.
+     * @type {boolean}
+     */
+    zoomToCursor = false;
+
+    /**
+     * @attribute
+     * @title Zoom Wheel Pinch Sensitivity
+     * @description The trackpad pinch sensitivity. Browsers report trackpad pinch gestures as wheel
+     * events with the ctrl key held and small deltas.
+     * @type {number}
+     */
+    zoomWheelPinchSens = 10;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    _lastGestureScale = 1;
+
     initialize() {
         this._onWheel = this._onWheel.bind(this);
         this._onKeyDown = this._onKeyDown.bind(this);
@@ -339,6 +373,8 @@ class CameraControls extends Script {
         this._onPointerMove = this._onPointerMove.bind(this);
         this._onPointerUp = this._onPointerUp.bind(this);
         this._onContextMenu = this._onContextMenu.bind(this);
+        this._onGestureStart = this._onGestureStart.bind(this);
+        this._onGestureChange = this._onGestureChange.bind(this);
 
         if (!this.entity.camera) {
             throw new Error('CameraControls script requires a camera component');
@@ -678,7 +714,7 @@ class CameraControls extends Script {
             // pinch zoom
             const pinchDist = this._getPinchDist();
             if (this._lastPinchDist > 0) {
-                this._zoom((this._lastPinchDist - pinchDist) * this.zoomPinchSens);
+                this._zoom((this._lastPinchDist - pinchDist) * this.zoomPinchSens, this._getMidPoint(tmpVa));
             }
             this._lastPinchDist = pinchDist;
         }
@@ -710,7 +746,44 @@ class CameraControls extends Script {
      */
     _onWheel(event) {
         event.preventDefault();
-        this._zoom(event.deltaY);
+
+        // normalize line and page deltas to pixels
+        let delta = event.deltaY;
+        if (event.deltaMode === WheelEvent.DOM_DELTA_LINE) {
+            delta *= WHEEL_LINE_HEIGHT;
+        } else if (event.deltaMode === WheelEvent.DOM_DELTA_PAGE) {
+            delta *= this._element.clientHeight;
+        }
+
+        // trackpad pinch
+        if (event.ctrlKey) {
+            delta *= this.zoomWheelPinchSens;
+        }
+
+        delta = math.clamp(delta, -WHEEL_DELTA_MAX, WHEEL_DELTA_MAX);
+        this._zoom(delta, tmpVa.set(event.clientX, event.clientY));
+    }
+
+    /**
+     * Safari reports trackpad pinch as gesture events instead of ctrl + wheel.
+     *
+     * @private
+     * @param {UIEvent & { scale: number }} event - The gesture event.
+     */
+    _onGestureStart(event) {
+        event.preventDefault();
+        this._lastGestureScale = event.scale;
+    }
+
+    /**
+     * @private
+     * @param {UIEvent & { scale: number, clientX: number, clientY: number }} event - The gesture event.
+     */
+    _onGestureChange(event) {
+        event.preventDefault();
+        const delta = (this._lastGestureScale - event.scale) * GESTURE_ZOOM_SCALE;
+        this._lastGestureScale = event.scale;
+        this._zoom(delta, tmpVa.set(event.clientX, event.clientY));
     }
 
     /**
@@ -917,8 +990,9 @@ class CameraControls extends Script {
     /**
      * @private
      * @param {number} delta - The delta.
+     * @param {Vec2} [pos] - The screen position to zoom towards when zoomToCursor is enabled.
      */
-    _zoom(delta) {
+    _zoom(delta, pos) {
         if (!this.enableOrbit && !this.enablePan) {
             return;
         }
@@ -936,8 +1010,16 @@ class CameraControls extends Script {
         }
         const distNormalized = this._zoomDist / (ZOOM_SCALE_SCENE_MULT * this.sceneSize);
         const scale = math.clamp(distNormalized, this.zoomScaleMin, 1);
-        this._zoomDist += (delta * this.zoomSpeed * this.sceneSize * scale);
-        this._zoomDist = this._clampZoom(this._zoomDist);
+        const zoomDist = this._clampZoom(this._zoomDist + delta * this.zoomSpeed * this.sceneSize * scale);
+
+        // move the focus point towards the point under the cursor so it stays in place on screen
+        if (this.zoomToCursor && pos && this._zoomDist > 0) {
+            this._screenToWorldPan(pos, tmpV3);
+            tmpV3.sub(this._origin).mulScalar(1 - zoomDist / this._zoomDist);
+            this._origin.add(tmpV3);
+        }
+
+        this._zoomDist = zoomDist;
     }
 
     /**
@@ -1091,6 +1173,8 @@ class CameraControls extends Script {
         this._element.addEventListener('pointermove', this._onPointerMove);
         this._element.addEventListener('pointerup', this._onPointerUp);
         this._element.addEventListener('contextmenu', this._onContextMenu);
+        this._element.addEventListener('gesturestart', this._onGestureStart, PASSIVE);
+        this._element.addEventListener('gesturechange', this._onGestureChange, PASSIVE);
 
         // These can stay on window since they're keyboard events
         window.addEventListener('keydown', this._onKeyDown, false);
@@ -1108,6 +1192,8 @@ class CameraControls extends Script {
         this._element.removeEventListener('pointerdown', this._onPointerDown);
         this._element.removeEventListener('pointerup', this._onPointerUp);
         this._element.removeEventListener('contextmenu', this._onContextMenu);
+        this._element.removeEventListener('gesturestart', this._onGestureStart, PASSIVE);
+        this._element.removeEventListener('gesturechange', this._onGestureChange, PASSIVE);
 
         // Remove keyboard events from window
         window.removeEventListener('keydown', this._onKeyDown, false);
@@ -1147,6 +1233,11 @@ class CameraControls extends Script {
 
         this._move(dt);
 
+        // pan and zoom move the origin too, so keep it within any clamp listener's limits
+        if (this.hasEvent(CameraControls.EVENT_CLAMP_POSITION)) {
+            this._clampPosition(this._origin);
+        }
+
         if (!this._flying) {
             this._smoothZoom(dt);
         }
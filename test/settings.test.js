@@ -0,0 +1,51 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateTrack } from '../js/settings.js';
+
+const track = (times, { duration = 10, loopMode = 'none' } = {}) => ({
+    name: 'track',
+    duration,
+    loopMode,
+    keyframes: {
+        times,
+        values: {
+            position: times.flatMap(time => [time, 0, 0]),
+            target: times.flatMap(() => [0, 0, 0])
+        }
+    }
+});
+
+const validate = (value) => {
+    const errors = [];
+    validateTrack(value, 'track', errors);
+    return errors;
+};
+
+describe('validateTrack', () => {
+    test('accepts keyframes within the duration', () => {
+        assert.deepEqual(validate(track([0, 4, 10])), []);
+        assert.deepEqual(validate(track([0, 4, 8], { loopMode: 'repeat' })), []);
+    });
+
+    test('requires at least 2 keyframes', () => {
+        assert.deepEqual(validate(track([])), ['track.keyframes.times: must be an array of at least 2 numbers']);
+        assert.deepEqual(validate(track([0])), ['track.keyframes.times: must be an array of at least 2 numbers']);
+    });
+
+    test('requires increasing keyframe times', () => {
+        assert.deepEqual(validate(track([0, 6, 4])), ['track.keyframes.times: must be strictly increasing']);
+        assert.deepEqual(validate(track([0, 4, 4])), ['track.keyframes.times: must be strictly increasing']);
+    });
+
+    test('requires keyframe times between 0 and the duration', () => {
+        assert.deepEqual(validate(track([-1, 4])), ['track.keyframes.times: must lie between 0 and the duration']);
+        assert.deepEqual(validate(track([0, 12])), ['track.keyframes.times: must lie between 0 and the duration']);
+    });
+
+    test('leaves looping tracks time to return to the first keyframe', () => {
+        assert.deepEqual(validate(track([0, 10], { loopMode: 'repeat' })), ['track.keyframes.times: must span less than the duration for repeat tracks']);
+        assert.deepEqual(validate(track([2, 10], { loopMode: 'reverse' })), []);
+        assert.deepEqual(validate(track([0, 10], { loopMode: 'pingpong' })), []);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+// resolve the import map's playcanvas entry as the browser does
+const playcanvasUrl = new URL('../lib/playcanvas.mjs', import.meta.url).href;
+const hooks = `export const resolve = (specifier, context, next) => next(specifier === 'playcanvas' ? '${playcanvasUrl}' : specifier, context);`;
+register(`data:text/javascript,${encodeURIComponent(hooks)}`);
+
+const pc = await import('playcanvas');
+const { SplatBudget } = await import('../js/splat-budget.js');
+
+// the sort worker, recording its messages. posting transfers the buffers like a real
+// worker does, leaving them empty on the sending side.
+const messages = [];
+globalThis.Worker = class {
+    postMessage(message, transfer) {
+        messages.push(structuredClone(message, { transfer }));
+    }
+
+    terminate() {}
+};
+
+const PROPERTIES = ['x', 'y', 'z', 'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3', 'f_dc_0', 'f_dc_1', 'f_dc_2'];
+
+// count equally sized splats in a row along x, starting at x = 1
+const createSplat = (count) => {
+    const value = (name, i) => ({ x: i + 1, rot_0: 1 })[name] ?? 0;
+    const splatData = new pc.GSplatData([{
+        name: 'vertex',
+        count,
+        properties: PROPERTIES.map(name => ({ type: 'float', name, storage: Float32Array.from({ length: count }, (_, i) => value(name, i)) }))
+    }]);
+    const resource = new pc.GSplatResource(new pc.NullGraphicsDevice(null), splatData, []);
+    const instance = resource.createInstance();
+    const entity = { gsplat: { instance, asset: 1 }, getWorldTransform: () => pc.Mat4.IDENTITY };
+    const app = { on: () => {}, assets: { get: () => ({ resource }) } };
+    const camera = { getPosition: () => pc.Vec3.ZERO };
+    return { app, camera, entity, instance };
+};
+
+describe('SplatBudget', () => {
+    test('counts the splats of sorted instances', () => {
+        const { app, camera, entity, instance } = createSplat(10);
+        assert.equal(instance.centers.length, 0);
+
+        const budget = new SplatBudget(app, camera);
+        budget.setSplats([entity]);
+        assert.equal(budget.numSplats, 10);
+    });
+
+    test('hands the sorter the splats largest on screen', () => {
+        const { app, camera, entity } = createSplat(10);
+        const budget = new SplatBudget(app, camera);
+        budget.setSplats([entity]);
+
+        messages.length = 0;
+        budget.setBudget(3);
+        assert.deepEqual([...new Uint32Array(messages.at(-1).mapping)], [0, 1, 2]);
+        assert.deepEqual([...new Float32Array(messages.at(-1).centers)], [1, 0, 0, 2, 0, 0, 3, 0, 0]);
+
+        budget.setBudget(null);
+        assert.equal(messages.at(-1).mapping, null);
+    });
+});
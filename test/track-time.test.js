@@ -0,0 +1,101 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyHolds, easeRate, isTrackFinished, mapTrackTime, trackDuration, trackSplineTime } from '../js/track-time.js';
+
+const track = (loopMode, holds) => ({
+    duration: 10,
+    loopMode,
+    keyframes: { times: [0, 4, 10], holds }
+});
+
+describe('mapTrackTime', () => {
+    test('none and once-then-orbit play once and hold the end', () => {
+        ['none', 'once-then-orbit'].forEach((loopMode) => {
+            assert.equal(mapTrackTime(-1, 10, loopMode), 0);
+            assert.equal(mapTrackTime(3, 10, loopMode), 3);
+            assert.equal(mapTrackTime(10, 10, loopMode), 10);
+            assert.equal(mapTrackTime(25, 10, loopMode), 10);
+        });
+    });
+
+    test('repeat wraps from the end back to the start', () => {
+        assert.equal(mapTrackTime(3, 10, 'repeat'), 3);
+        assert.equal(mapTrackTime(10, 10, 'repeat'), 0);
+        assert.equal(mapTrackTime(23, 10, 'repeat'), 3);
+    });
+
+    test('pingpong plays forwards then backwards', () => {
+        assert.equal(mapTrackTime(3, 10, 'pingpong'), 3);
+        assert.equal(mapTrackTime(10, 10, 'pingpong'), 10);
+        assert.equal(mapTrackTime(13, 10, 'pingpong'), 7);
+        assert.equal(mapTrackTime(20, 10, 'pingpong'), 0);
+        assert.equal(mapTrackTime(23, 10, 'pingpong'), 3);
+    });
+
+    test('reverse loops backwards from the end', () => {
+        assert.equal(mapTrackTime(0, 10, 'reverse'), 0);
+        assert.equal(mapTrackTime(3, 10, 'reverse'), 7);
+        assert.equal(mapTrackTime(10, 10, 'reverse'), 0);
+        assert.equal(mapTrackTime(13, 10, 'reverse'), 7);
+    });
+});
+
+describe('isTrackFinished', () => {
+    test('only tracks played once finish', () => {
+        assert.equal(isTrackFinished(9, 10, 'none'), false);
+        assert.equal(isTrackFinished(10, 10, 'none'), true);
+        assert.equal(isTrackFinished(10, 10, 'once-then-orbit'), true);
+        ['repeat', 'pingpong', 'reverse'].forEach((loopMode) => {
+            assert.equal(isTrackFinished(100, 10, loopMode), false);
+        });
+    });
+});
+
+describe('holds', () => {
+    test('the duration includes the hold times', () => {
+        assert.equal(trackDuration(track('none')), 10);
+        assert.equal(trackDuration(track('none', [1, 2, 0])), 13);
+    });
+
+    test('the spline time stops at each keyframe for its hold', () => {
+        const holds = [1, 2, 0];
+        assert.equal(applyHolds(0.5, [0, 4, 10], holds), 0);
+        assert.equal(applyHolds(1, [0, 4, 10], holds), 0);
+        assert.equal(applyHolds(3, [0, 4, 10], holds), 2);
+        assert.equal(applyHolds(5, [0, 4, 10], holds), 4);
+        assert.equal(applyHolds(6.5, [0, 4, 10], holds), 4);
+        assert.equal(applyHolds(7, [0, 4, 10], holds), 4);
+        assert.equal(applyHolds(13, [0, 4, 10], holds), 10);
+    });
+
+    test('without holds the time passes through', () => {
+        assert.equal(applyHolds(3, [0, 4, 10]), 3);
+        assert.equal(applyHolds(3, [0, 4, 10], [0, 0, 0]), 3);
+    });
+
+    test('holds apply after the loop mode mapping', () => {
+        const holds = [1, 2, 0];
+        assert.equal(trackSplineTime(track('none', holds), 20), 10);
+        assert.equal(trackSplineTime(track('repeat', holds), 13 + 6), 4);
+        assert.equal(trackSplineTime(track('pingpong', holds), 13 + 3), 7);
+        assert.equal(trackSplineTime(track('reverse', holds), 7), 4);
+    });
+});
+
+describe('easeRate', () => {
+    test('ramps up over easing.in', () => {
+        const eased = { ...track('repeat'), easing: { in: 4, out: 0, curve: 'linear' } };
+        assert.equal(easeRate(eased, 0, 0), 0);
+        assert.equal(easeRate(eased, 2, 2), 0.5);
+        assert.equal(easeRate(eased, 4, 4), 1);
+    });
+
+    test('eases out towards the end of tracks which stop', () => {
+        const eased = { ...track('none'), easing: { in: 0, out: 4, curve: 'linear' } };
+        assert.equal(easeRate(eased, 5, 5), 1);
+        assert.equal(easeRate(eased, 8, 8), 0.5);
+        assert.equal(easeRate(eased, 10, 10), 0.05);
+        assert.equal(easeRate({ ...eased, loopMode: 'repeat' }, 8, 8), 1);
+    });
+});